@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/*
+ * Generates a module of DataLoader query factories from LoopBack models.
+ *
+ * Usage: react-loopback-codegen <models dir | model.json | swagger.json> [--out file]
+ */
+var fs = require('fs');
+var path = require('path');
+var codegen = require('../lib/codegen');
+
+var args = process.argv.slice(2);
+var outIndex = args.indexOf('--out');
+var out = outIndex === -1 ? null : args[outIndex + 1];
+var input = outIndex === 0 ? args[2] : args[0];
+
+if (!input) {
+  console.error('Usage: react-loopback-codegen <models dir | model.json | swagger.json> [--out file]');
+  process.exit(1);
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+var models;
+if (fs.statSync(input).isDirectory()) {
+  var definitions = fs.readdirSync(input)
+    .filter(function (file) { return path.extname(file) === '.json'; })
+    .sort()
+    .map(function (file) { return readJson(path.join(input, file)); })
+    .filter(function (definition) { return definition && definition.name; });
+  models = codegen.readModels(definitions);
+} else {
+  var doc = readJson(input);
+  if (doc.swagger || doc.openapi) {
+    models = codegen.readSwagger(doc);
+  } else {
+    models = codegen.readModels(Array.isArray(doc) ? doc : [ doc ]);
+  }
+}
+
+var source = codegen.generateQueries(models);
+if (out) {
+  fs.writeFileSync(out, source);
+  console.log('Generated queries of ' + models.length + ' models on ' + out);
+} else {
+  process.stdout.write(source);
+}
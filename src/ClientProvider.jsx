@@ -0,0 +1,36 @@
+import React from 'react';
+import { Config } from './config';
+
+/**
+ * PropType of the clients created by `createClient`.
+ */
+export const clientShape = React.PropTypes.instanceOf(Config);
+
+/**
+ * Gives a client to all DataLoaders rendered inside it, unless they were
+ * created with their own `client` option.
+ *
+ * ```javascript
+ * <ClientProvider client={client}>
+ *   <App />
+ * </ClientProvider>
+ * ```
+ */
+export const ClientProvider = React.createClass({
+  propTypes: {
+    client: clientShape.isRequired,
+    children: React.PropTypes.element.isRequired
+  },
+
+  childContextTypes: {
+    loopbackClient: clientShape
+  },
+
+  getChildContext() {
+    return { loopbackClient: this.props.client };
+  },
+
+  render() {
+    return React.Children.only(this.props.children);
+  }
+});
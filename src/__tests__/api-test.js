@@ -0,0 +1,116 @@
+/*eslint-env mocha */
+/*global expect */
+import config from '../config';
+import * as api from '../api';
+import { createClient } from '../client';
+import { createMockServer } from '../testing';
+
+describe('api', () => {
+  let server;
+
+  beforeEach(() => {
+    config.set({ baseUrl: '', access_token: null });
+    server = createMockServer({
+      fixtures: {
+        users: [ { id: 1, name: 'John' }, { id: 2, name: 'Mary' } ]
+      }
+    }).install();
+  });
+
+  afterEach(() => {
+    server.restore();
+  });
+
+  it('should query records', () => {
+    return Promise.all([
+      api.find('users', { where: { name: 'Mary' } }),
+      api.findById('users', 1),
+      api.findOne('users', { order: 'name DESC' }),
+      api.count('users', { id: { gt: 1 } }),
+      api.exists('users', 3)
+    ]).then(([ found, byId, first, total, exists ]) => {
+      expect(found).to.deep.equal([ { id: 2, name: 'Mary' } ]);
+      expect(byId).to.deep.equal({ id: 1, name: 'John' });
+      expect(first).to.deep.equal({ id: 2, name: 'Mary' });
+      expect(total).to.equal(1);
+      expect(exists).to.be.false;
+    });
+  });
+
+  it('should return false when a placeholder is missing', () => {
+    expect(api.fillEndpoint('users/:userId/orders', {})).to.be.false;
+    expect(api.fillEndpoint('users/:userId/orders', { userId: 0 })).to.equal('users/0/orders');
+  });
+
+  it('should fill endpoint placeholders and call remote methods', () => {
+    server.remote('POST', 'users/:id/greet', ({ params, query, body }) => ({
+      greeting: body.greeting + ' ' + params.id + query.punctuation
+    }));
+
+    return api.remote('users/:id/greet', {
+      verb: 'post',
+      args: { punctuation: '!' },
+      body: { greeting: 'Hi' }
+    }, { params: { id: 2 } })
+      .then(result => expect(result).to.deep.equal({ greeting: 'Hi 2!' }));
+  });
+
+  it('should create, update, upsert and destroy records', () => {
+    return api.create('users', { name: 'Lucy' })
+      .then(user => {
+        expect(user).to.deep.equal({ id: 3, name: 'Lucy' });
+        return api.update('users', 3, { age: 20 });
+      })
+      .then(user => {
+        expect(user).to.deep.equal({ id: 3, name: 'Lucy', age: 20 });
+        return api.upsert('users', { id: 3, name: 'Lucia' });
+      })
+      .then(user => {
+        expect(user).to.deep.equal({ id: 3, name: 'Lucia' });
+        return api.destroy('users', 3);
+      })
+      .then(() => expect(server.get('users')).to.have.length(2));
+  });
+
+  it('should update with PUT and refuse upserts on relation routes', () => {
+    server.remote('PUT', 'users/:id/orders/:fk', ({ params, body }) => ({ ...body, id: Number(params.fk) }));
+    const options = { params: { userId: 1 } };
+
+    return api.update('users/:userId/orders', 7, { done: true }, options)
+      .then(order => {
+        expect(order).to.deep.equal({ id: 7, done: true });
+        expect(server.calls.map(call => call.method + ' ' + call.path)).to.deep.equal([ 'PUT users/1/orders/7' ]);
+        return api.upsert('users/:userId/orders', { id: 7 }, options);
+      })
+      .then(() => { throw new Error('should not resolve'); }, err => {
+        expect(err.message).to.equal('Upsert is not supported on relation route users/:userId/orders');
+        expect(server.calls).to.have.length(1);
+      });
+  });
+
+  it('should reject with normalized errors', () => {
+    server.fail({ status: 422, name: 'ValidationError', message: 'Invalid', details: { codes: {} } });
+
+    return api.find('users').then(() => { throw new Error('should not resolve'); }, err => {
+      expect(err.status).to.equal(422);
+      expect(err.code).to.be.null;
+      expect(err.details.name).to.equal('ValidationError');
+      expect(api.describeError(err)).to.deep.equal({
+        status: 422,
+        name: 'ValidationError',
+        message: 'Invalid',
+        details: { codes: {} }
+      });
+    });
+  });
+
+  it('should send requests with the client of its methods', () => {
+    const client = createClient({ baseUrl: 'http://other/api', accessToken: 'abc123' });
+    server.baseUrl = 'http://other/api/';
+
+    return client.findById('users', 2).then(user => {
+      expect(user).to.deep.equal({ id: 2, name: 'Mary' });
+      expect(server.calls[0].url).to.equal('http://other/api/users/2');
+    });
+  });
+});
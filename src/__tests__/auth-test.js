@@ -0,0 +1,107 @@
+/*eslint-env mocha */
+/*global expect */
+import config from '../config';
+import auth from '../auth';
+
+describe('auth', () => {
+  let oldFetch, calls;
+
+  function stubFetch(responses) {
+    calls = [];
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      const { status = 200, result = null } = responses.shift() || {};
+      return Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: 'status ' + status,
+        json: () => result
+      });
+    };
+  }
+
+  const token = {
+    id: 'abc123',
+    ttl: 1209600,
+    created: new Date().toISOString(),
+    userId: 7
+  };
+
+  beforeEach(() => {
+    oldFetch = window.fetch;
+    config.set('baseUrl', 'http://example.com/api');
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    window.fetch = oldFetch;
+    auth._clearSession();
+  });
+
+  it('should login and send token as Authorization header', () => {
+    stubFetch([
+      { result: { ...token, user: { id: 7, email: 'john@doe.com' } } },
+      { result: { id: 7, email: 'john@doe.com' } }
+    ]);
+
+    return auth.login({ email: 'john@doe.com', password: 'x' }, { model: 'Accounts' })
+      .then(result => {
+        expect(result).to.deep.equal(token);
+        expect(calls[0].url).to.equal('http://example.com/api/Accounts/login?include=user');
+        expect(calls[0].init.method).to.equal('POST');
+        expect(config.get('access_token')).to.equal('abc123');
+        return auth.currentUser();
+      })
+      .then(user => {
+        expect(user).to.deep.equal({ id: 7, email: 'john@doe.com' });
+        expect(calls).to.have.length(1);
+
+        stubFetch([ { status: 204 } ]);
+        return auth.logout();
+      })
+      .then(() => {
+        expect(calls[0].url).to.equal('http://example.com/api/Accounts/logout');
+        expect(calls[0].init.headers).to.have.property('Authorization', 'abc123');
+        expect(config.get('access_token')).to.equal(null);
+        expect(auth.getToken()).to.equal(null);
+      });
+  });
+
+  it('should persist and restore the session', () => {
+    stubFetch([ { result: token } ]);
+
+    return auth.login({}, { persist: 'local' }).then(() => {
+      auth._token = null;
+      config.set('access_token', null);
+
+      expect(auth.restore('session')).to.be.false;
+      expect(auth.restore('local')).to.be.true;
+      expect(auth.getToken()).to.deep.equal(token);
+      expect(config.get('access_token')).to.equal('abc123');
+    });
+  });
+
+  it('should not restore an expired session', () => {
+    const expired = { ...token, ttl: 60, created: '2015-01-01T00:00:00.000Z' };
+    window.localStorage.setItem('react-loopback:auth', JSON.stringify({
+      token: expired, user: null, model: 'Users'
+    }));
+
+    expect(auth.restore()).to.be.false;
+    expect(window.localStorage.getItem('react-loopback:auth')).to.equal(null);
+  });
+
+  it('should emit unauthorized event on 401 responses', () => {
+    let info;
+    const off = auth.on('unauthorized', i => info = i);
+    stubFetch([ { status: 401 } ]);
+
+    return auth.login({}).then(() => {
+      throw new Error('should fail');
+    }, err => {
+      off();
+      expect(err.message).to.equal('status 401');
+      expect(info).to.have.property('url', 'http://example.com/api/Users/login?include=user');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/*eslint-env mocha */
+/*global expect */
+import config from '../config';
+import { findByIdBatched } from '../batch';
+
+describe('batch', () => {
+  let oldFetch, urls;
+
+  beforeEach(() => {
+    oldFetch = window.fetch;
+    config.set('access_token', null);
+    urls = [];
+    window.fetch = url => {
+      urls.push(url);
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => [ { id: 1, name: 'John' }, { id: 2, name: 'Mary' } ]
+      });
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = oldFetch;
+  });
+
+  it('should combine lookups into a single request', () => {
+    return Promise.all([
+      findByIdBatched('/users', 1),
+      findByIdBatched('/users', '2'),
+      findByIdBatched('/users', 1),
+      findByIdBatched('/users', 3).then(() => null, err => err.status)
+    ]).then(([ john, mary, john2, missing ]) => {
+      const filter = { where: { id: { inq: [ 1, '2', 3 ] } } };
+      expect(urls).to.deep.equal([
+        '/users?filter=' + encodeURIComponent(JSON.stringify(filter))
+      ]);
+      expect(john).to.deep.equal({ id: 1, name: 'John' });
+      expect(john2).to.equal(john);
+      expect(mary).to.deep.equal({ id: 2, name: 'Mary' });
+      expect(missing).to.equal(404);
+    });
+  });
+
+  it('should combine only lookups with the same filter and middleware', () => {
+    const tenant = (req, next) => next({ ...req, headers: { ...req.headers, 'X-Tenant': 'a' } });
+    const withRole = { include: 'role', fields: [ 'name' ] };
+
+    return Promise.all([
+      findByIdBatched('/users', 1, { filter: withRole }),
+      findByIdBatched('/users', 2, { filter: { ...withRole, where: { active: true } } }),
+      findByIdBatched('/users', 1),
+      findByIdBatched('/users', 2, { middleware: [ tenant ] }),
+      findByIdBatched('/users', 1, { middleware: [ tenant ] })
+    ]).then(() => {
+      const filters = [
+        { where: { id: { inq: [ 1, 2 ] } }, include: 'role', fields: [ 'name', 'id' ] },
+        { where: { id: { inq: [ 1 ] } } },
+        { where: { id: { inq: [ 2, 1 ] } } }
+      ];
+      expect(urls).to.deep.equal(filters.map(filter => (
+        '/users?filter=' + encodeURIComponent(JSON.stringify(filter))
+      )));
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/*eslint-env mocha */
+/*global expect */
+import { Cache, localStorageAdapter } from '../cache';
+
+describe('cache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new Cache();
+    window.localStorage.removeItem('test:cache');
+  });
+
+  it('should drop entries older than maxAge', () => {
+    cache.set('/users', [ 1 ]);
+    cache._entries['/users'].updatedAt -= 1000;
+
+    expect(cache.get('/users', 2000).data).to.deep.equal([ 1 ]);
+    expect(cache.get('/users', 500)).to.be.undefined;
+    expect(cache.get('/users')).to.be.undefined;
+  });
+
+  it('should save and load entries on localStorage', () => {
+    cache.persist(localStorageAdapter({ key: 'test:cache' }));
+    cache.set('/users', [ 1 ]);
+    cache.set('/tasks', [ 2 ]);
+    cache.remove('/tasks');
+
+    const restored = new Cache();
+    return restored.persist(localStorageAdapter({ key: 'test:cache' })).then(() => {
+      expect(restored.get('/users').data).to.deep.equal([ 1 ]);
+      expect(restored.get('/tasks')).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/*eslint-env mocha */
+/*global expect */
+import { openChangeStream } from '../changeStream';
+
+// Local stand-in for server-sent events
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  send(type, data) {
+    this.listeners[type]({ data: JSON.stringify(data) });
+  }
+}
+
+describe('changeStream', () => {
+  let oldEventSource;
+
+  beforeEach(() => {
+    oldEventSource = window.EventSource;
+    window.EventSource = FakeEventSource;
+    FakeEventSource.instances = [];
+  });
+
+  afterEach(() => {
+    window.EventSource = oldEventSource;
+  });
+
+  it('should call onChange with each change', () => {
+    const changes = [];
+    const stream = openChangeStream('/todos/change-stream', change => changes.push(change));
+    const source = FakeEventSource.instances[0];
+
+    source.send('data', { type: 'create', target: 1, data: { id: 1 } });
+    stream.close();
+
+    expect(source.url).to.equal('/todos/change-stream');
+    expect(source.closed).to.be.true;
+    expect(changes).to.deep.equal([ { type: 'create', target: 1, data: { id: 1 } } ]);
+  });
+
+  it('should reconnect with backoff', (done) => {
+    const stream = openChangeStream('/todos/change-stream', () => {}, { minDelay: 20 });
+
+    FakeEventSource.instances[0].listeners.error();
+
+    setTimeout(() => {
+      expect(FakeEventSource.instances).to.have.length(2);
+      FakeEventSource.instances[1].listeners.error();
+    }, 30);
+
+    setTimeout(() => {
+      // second attempt waits 40ms
+      expect(FakeEventSource.instances).to.have.length(2);
+    }, 60);
+
+    setTimeout(() => {
+      expect(FakeEventSource.instances).to.have.length(3);
+      stream.close();
+      done();
+    }, 90);
+  });
+});
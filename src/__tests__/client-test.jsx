@@ -0,0 +1,165 @@
+/*eslint-env mocha */
+/*global expect */
+import React from 'react';
+import ReactTestUtils from 'react-addons-test-utils';
+import config from '../config';
+import { createClient } from '../client';
+import { ClientProvider } from '../ClientProvider';
+import { createDataLoader } from '../createDataLoader';
+import { invalidate } from '../registry';
+import { request } from '../request';
+import store from '../store';
+
+const Users = React.createClass({
+  render() {
+    return <div />;
+  }
+});
+
+describe('createClient', () => {
+  let oldFetch, calls;
+
+  function stubFetch(result) {
+    calls = [];
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        json: () => result
+      });
+    };
+  }
+
+  function waitFor(done, check) {
+    setTimeout(() => {
+      try {
+        check();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    }, 250);
+  }
+
+  beforeEach(() => {
+    oldFetch = window.fetch;
+    config.set({ baseUrl: 'http://global/api/', access_token: 'global-token' });
+  });
+
+  afterEach(() => {
+    window.fetch = oldFetch;
+    config.set({ baseUrl: '', access_token: null });
+  });
+
+  it('should keep its settings apart from global config', () => {
+    const client = createClient({ baseUrl: 'http://other/api', accessToken: 'abc123' });
+
+    expect(client.get('baseUrl')).to.be.equal('http://other/api');
+    expect(client.get('access_token')).to.be.equal('abc123');
+    expect(config.get('access_token')).to.be.equal('global-token');
+  });
+
+  it('should send requests with its access token and middleware', () => {
+    const client = createClient({ accessToken: 'abc123' });
+    client.use((req, next) => next({ ...req, headers: { ...req.headers, 'X-Client': 'other' } }));
+    stubFetch([]);
+
+    return request('/users', { client }).then(() => {
+      expect(calls[0].init.headers).to.deep.equal({
+        'Accept': 'application/json',
+        'X-Client': 'other',
+        'Authorization': 'abc123'
+      });
+    });
+  });
+
+  it('should be used by DataLoaders inside ClientProvider', done => {
+    const client = createClient({ baseUrl: 'http://other/api', accessToken: 'abc123' });
+    const Component = createDataLoader(Users, {
+      queries: [ { endpoint: 'users' } ]
+    });
+    stubFetch([]);
+
+    ReactTestUtils.renderIntoDocument(
+      <ClientProvider client={client}>
+        <Component />
+      </ClientProvider>
+    );
+
+    waitFor(done, () => {
+      expect(calls[0].url).to.be.equal('http://other/api/users');
+      expect(calls[0].init.headers.Authorization).to.be.equal('abc123');
+    });
+  });
+
+  it('should prefer the client option over ClientProvider', done => {
+    const optionClient = createClient({ baseUrl: 'http://option/api' });
+    const Component = createDataLoader(Users, {
+      client: optionClient,
+      queries: [ { endpoint: 'users' } ]
+    });
+    stubFetch([]);
+
+    ReactTestUtils.renderIntoDocument(
+      <ClientProvider client={createClient({ baseUrl: 'http://provider/api' })}>
+        <Component />
+      </ClientProvider>
+    );
+
+    waitFor(done, () => {
+      expect(calls[0].url).to.be.equal('http://option/api/users');
+    });
+  });
+
+  it('should default to global config', done => {
+    const Component = createDataLoader(Users, {
+      queries: [ { endpoint: 'users' } ]
+    });
+    stubFetch([]);
+
+    ReactTestUtils.renderIntoDocument(<Component />);
+
+    waitFor(done, () => {
+      expect(calls[0].url).to.be.equal('http://global/api/users');
+      expect(calls[0].init.headers.Authorization).to.be.equal('global-token');
+    });
+  });
+
+  it('should keep the records and queries of each client apart', () => {
+    const clientA = createClient({ baseUrl: 'http://a/api' });
+    const clientB = createClient({ baseUrl: 'http://b/api' });
+    const queries = [ { name: 'accounts', endpoint: 'accounts' } ];
+    const ComponentA = createDataLoader(Users, { client: clientA, queries });
+    const ComponentB = createDataLoader(Users, { client: clientB, queries });
+    const wait = () => new Promise(resolve => setTimeout(resolve, 250));
+    calls = [];
+    window.fetch = url => {
+      calls.push({ url });
+      const name = url.indexOf('http://a/') === 0 ? 'Ann' : 'Bob';
+      return Promise.resolve({ ok: true, status: 200, statusText: 'OK', json: () => [ { id: 1, name } ] });
+    };
+
+    const dataLoaderA = ReactTestUtils.renderIntoDocument(<ComponentA />);
+    const dataLoaderB = ReactTestUtils.renderIntoDocument(<ComponentB />);
+
+    return wait()
+      .then(() => {
+        expect(dataLoaderA.refs.component.props.accounts).to.deep.equal([ { id: 1, name: 'Ann' } ]);
+        expect(dataLoaderB.refs.component.props.accounts).to.deep.equal([ { id: 1, name: 'Bob' } ]);
+        expect(clientA.getStore().get('accounts', 1)).to.deep.equal({ id: 1, name: 'Ann' });
+        expect(store.get('accounts', 1)).to.be.undefined;
+
+        invalidate('accounts', clientA);
+        return wait();
+      })
+      .then(() => {
+        expect(calls.map(call => call.url)).to.deep.equal([
+          'http://a/api/accounts',
+          'http://b/api/accounts',
+          'http://a/api/accounts'
+        ]);
+      });
+  });
+});
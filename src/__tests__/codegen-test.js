@@ -0,0 +1,125 @@
+/*eslint-env mocha */
+/*global expect */
+import { buildQueries, generateQueries, pluralize, readModels, readSwagger } from '../codegen';
+
+describe('codegen', () => {
+  const definitions = [
+    {
+      name: 'Todo',
+      properties: { code: { type: 'string', id: true }, title: 'string' },
+      relations: {
+        owner: { type: 'belongsTo', model: 'Person', foreignKey: 'ownerId' },
+        tags: { type: 'hasMany', model: 'Category' }
+      }
+    },
+    { name: 'Person', plural: 'People', properties: {} },
+    { name: 'Category', http: { path: '/categories' } }
+  ];
+
+  it('should pluralize model names', () => {
+    expect([ 'Todo', 'Category', 'Box', 'Day' ].map(pluralize))
+      .to.deep.equal([ 'Todos', 'Categories', 'Boxes', 'Days' ]);
+    expect([ 'Person', 'Quiz', 'Child', 'Status' ].map(pluralize))
+      .to.deep.equal([ 'People', 'Quizzes', 'Children', 'Statuses' ]);
+  });
+
+  it('should read model definitions', () => {
+    expect(readModels(definitions)).to.deep.equal([
+      {
+        name: 'Todo',
+        endpoint: 'Todos',
+        id: 'code',
+        relations: [
+          { name: 'owner', model: 'Person', many: false },
+          { name: 'tags', model: 'Category', many: true }
+        ]
+      },
+      { name: 'Person', endpoint: 'People', id: 'id', relations: [] },
+      { name: 'Category', endpoint: 'categories', id: 'id', relations: [] }
+    ]);
+  });
+
+  it('should read Swagger documents', () => {
+    const doc = {
+      swagger: '2.0',
+      paths: {
+        '/Todos': { get: { operationId: 'Todo.find' }, post: { operationId: 'Todo.create' } },
+        '/Todos/{id}/owner': {
+          get: {
+            operationId: 'Todo.prototype.__get__owner',
+            responses: { 200: { schema: { $ref: '#/definitions/Person' } } }
+          }
+        },
+        '/Todos/{id}/tags': {
+          get: {
+            operationId: 'Todo.prototype.__get__tags',
+            responses: { 200: { schema: { type: 'array', items: { $ref: '#/definitions/Category' } } } }
+          }
+        },
+        '/Todos/{id}/stats': {
+          get: {
+            operationId: 'Todo.prototype.__get__stats',
+            responses: { 200: { schema: { type: 'object', properties: { count: { type: 'number' } } } } }
+          }
+        },
+        '/People': { get: { operationId: 'Person.find' } }
+      }
+    };
+
+    expect(readSwagger(doc)).to.deep.equal([
+      {
+        name: 'Todo',
+        endpoint: 'Todos',
+        id: 'id',
+        relations: [
+          { name: 'owner', model: 'Person', many: false },
+          { name: 'tags', model: 'Category', many: true }
+        ]
+      },
+      { name: 'Person', endpoint: 'People', id: 'id', relations: [] }
+    ]);
+  });
+
+  it('should build the queries of each model', () => {
+    const { Todo } = buildQueries(readModels(definitions));
+
+    expect(Todo.find).to.deep.equal({
+      name: 'todos',
+      endpoint: 'Todos',
+      id: 'code',
+      relations: { owner: 'People', tags: 'categories' }
+    });
+    expect(Todo.findById.type).to.equal('findById');
+    expect(Todo.count).to.deep.equal({ name: 'todosCount', type: 'count', endpoint: 'Todos' });
+    expect(Todo.owner).to.deep.equal({ name: 'owner', type: 'remote', endpoint: 'Todos/:id/owner', model: 'People' });
+    expect(Todo.tags).to.deep.equal({
+      name: 'tags',
+      endpoint: 'Todos/:id/tags',
+      model: 'categories',
+      id: 'id',
+      relations: {}
+    });
+  });
+
+  it('should generate a module of query factories', () => {
+    const source = generateQueries(readModels(definitions));
+
+    expect(source).to.contain('export const Todo = {');
+    expect(source).to.contain(
+      '  find: function (options) {\n' +
+      '    return query({ name: \'todos\', endpoint: \'Todos\', id: \'code\', ' +
+      'relations: { owner: \'People\', tags: \'categories\' } }, options);\n' +
+      '  }'
+    );
+
+    const exports = {};
+    new Function('exports', source.replace(/export const (\w+)/g, 'exports.$1'))(exports);
+    expect(exports.Todo.find({ filter: { limit: 10 } })).to.deep.equal({
+      name: 'todos',
+      endpoint: 'Todos',
+      id: 'code',
+      relations: { owner: 'People', tags: 'categories' },
+      filter: { limit: 10 }
+    });
+  });
+});
@@ -1,8 +1,14 @@
 /*eslint-env mocha */
 /*global expect */
-import config from '../config';
+import { Config } from '../config';
 
 describe('config', () => {
+  let config;
+
+  beforeEach(() => {
+    config = new Config();
+  });
+
   it('should set string key', () => {
     config.set('_my_string_key_', 'my value');
     const value = config.get('_my_string_key_');
@@ -1,9 +1,16 @@
 /*eslint-env mocha */
 /*global expect */
 import React from 'react';
+import _ from 'lodash';
 import ReactDOM from 'react-dom';
 import ReactTestUtils from 'react-addons-test-utils';
 import config from '../config';
+import store from '../store';
+import cache from '../cache';
+import { createClient } from '../client';
+import { createMockServer, waitForLoaders } from '../testing';
+import * as api from '../api';
+import { invalidate } from '../registry';
 import {createDataLoader} from '../createDataLoader';
 
 describe('createDataLoader', () => {
@@ -41,11 +48,19 @@ describe('createDataLoader', () => {
       const url1 = DataLoader._buildUrl(endpoint, filter);
       expect(url1).to.equal(result);
 
-      const token = 'abc123';
-      config.set('access_token', token);
+      config.set('access_token', 'abc123');
 
       const url2 = DataLoader._buildUrl(endpoint, filter);
-      expect(url2).to.equal(result + '&access_token=' + token);
+      expect(url2).to.equal(result);
+      config.set('access_token', null);
+    });
+
+    it('_buildUrl should fill endpoint placeholders with params', () => {
+      const url = DataLoader._buildUrl('projects/:projectId/members/:id', null, {
+        projectId: 'a/b',
+        id: 3
+      });
+      expect(url).to.equal('/projects/a%2Fb/members/3');
     });
 
     it('_normalizeQueries should transform name and endpoint properties', () => {
@@ -68,6 +83,9 @@ describe('createDataLoader', () => {
         {
           name: 'my-users',
           endpoint: 'users'
+        },
+        {
+          endpoint: 'users/:userId/orders/:id'
         }
       ];
 
@@ -82,6 +100,9 @@ describe('createDataLoader', () => {
       expect(results[4]).to.have.property('endpoint', 'users/1/orders');
 
       expect(results[5]).to.have.property('name', 'my-users');
+
+      expect(results[6]).to.have.property('model', 'orders');
+      expect(results[6].placeholders).to.deep.equal(['userId', 'id']);
     });
 
     it('_transform_array should return data as array', () => {
@@ -132,30 +153,144 @@ describe('createDataLoader', () => {
       result = DataLoader._transform_object(data_a, res_b, {}, {}, {reset: true});
       expect(result).to.deep.equal(res_a);
     });
+
+    it('_mutate_array should apply record changes to array', () => {
+      const data = [{id: 1, a: 1}, {id: 2, a: 2}];
+      let result;
+
+      result = DataLoader._mutate_array(data, 'create', {id: 3, a: 3}, {});
+      expect(result).to.deep.equal([{id: 1, a: 1}, {id: 2, a: 2}, {id: 3, a: 3}]);
+
+      result = DataLoader._mutate_array(data, 'update', {id: 1, b: 1}, {});
+      expect(result).to.deep.equal([{id: 1, a: 1, b: 1}, {id: 2, a: 2}]);
+
+      result = DataLoader._mutate_array(data, 'upsert', {id: 4}, {});
+      expect(result).to.deep.equal([{id: 1, a: 1}, {id: 2, a: 2}, {id: 4}]);
+
+      result = DataLoader._mutate_array(data, 'destroy', {id: 1}, {});
+      expect(result).to.deep.equal([{id: 2, a: 2}]);
+
+      result = DataLoader._mutate_array([{key: 1}], 'destroy', {key: 1}, {id: 'key'});
+      expect(result).to.deep.equal([]);
+
+      expect(data).to.have.length(2);
+    });
+
+    it('_mutate_object should apply record changes to object', () => {
+      const data = {1: {id: 1, a: 1}};
+      let result;
+
+      result = DataLoader._mutate_object(data, 'create', {id: 2}, {});
+      expect(result).to.deep.equal({1: {id: 1, a: 1}, 2: {id: 2}});
+
+      result = DataLoader._mutate_object(data, 'update', {id: 1, b: 1}, {});
+      expect(result).to.deep.equal({1: {id: 1, a: 1, b: 1}});
+
+      result = DataLoader._mutate_object(data, 'destroy', {id: 1}, {});
+      expect(result).to.deep.equal({});
+    });
+
+    it('_mutate_single should apply changes of the same record only', () => {
+      const data = {id: 1, a: 1};
+      let result;
+
+      result = DataLoader._mutate_single(data, 'create', {id: 2}, {});
+      expect(result).to.equal(data);
+
+      result = DataLoader._mutate_single(data, 'update', {id: '1', b: 1}, {});
+      expect(result).to.deep.equal({id: '1', a: 1, b: 1});
+
+      result = DataLoader._mutate_single(data, 'destroy', {id: 1}, {});
+      expect(result).to.be.null;
+    });
+
+    it('_transform_merge should upsert records keeping their order', () => {
+      const data = [{id: 1, a: 1}, {id: 2, a: 1}];
+      const result = DataLoader._transform_merge([{id: 2, a: 2}, {id: 3, a: 1}], data, null, {}, {});
+      expect(result).to.deep.equal([{id: 1, a: 1}, {id: 2, a: 2}, {id: 3, a: 1}]);
+    });
+
+    it('_transform_groupBy should group records and move them on changes', () => {
+      const json = [{id: 1, status: 'open'}, {id: 2, status: 'done'}, {id: 3, status: 'open'}];
+      let result = DataLoader._transform_groupBy(json, null, null, {}, {field: 'status'});
+      expect(result).to.deep.equal({
+        open: [{id: 1, status: 'open'}, {id: 3, status: 'open'}],
+        done: [{id: 2, status: 'done'}]
+      });
+
+      result = DataLoader._mutate_groupBy(result, 'update', {id: 2, status: 'open'}, {field: 'status'});
+      expect(result).to.deep.equal({
+        open: [{id: 1, status: 'open'}, {id: 3, status: 'open'}, {id: 2, status: 'open'}]
+      });
+      expect(() => DataLoader._transform_groupBy(json, null, null, {}, {})).to.throw('groupBy transform needs a field');
+    });
+
+    it('_transform_tree should nest records under their parent', () => {
+      const json = [{id: 1, parentId: null}, {id: 2, parentId: 1}, {id: 3, parentId: 2}, {id: 4, parentId: 9}];
+      expect(DataLoader._transform_tree(json, null, null, {}, {})).to.deep.equal([
+        {id: 1, parentId: null, children: [
+          {id: 2, parentId: 1, children: [{id: 3, parentId: 2, children: []}]}
+        ]},
+        {id: 4, parentId: 9, children: []}
+      ]);
+    });
+
+    it('_resolveTransform should find registered transforms, settings and chains', () => {
+      const client = createClient();
+      client.registerTransform('titles', json => json.map(row => row.title));
+
+      const titles = DataLoader._resolveTransform('titles', client);
+      expect(titles.transform([{title: 'a'}])).to.deep.equal(['a']);
+      expect(() => DataLoader._resolveTransform('titles')).to.throw('Unknown transform: titles');
+
+      const chain = DataLoader._resolveTransform(['merge', {name: 'groupBy', field: 'done'}]);
+      let data = chain.transform([{id: 1, done: false}, {id: 2, done: true}], [], null, {}, {});
+      data = chain.transform([{id: 2, done: false}], data, null, {}, {});
+      expect(data).to.deep.equal({false: [{id: 1, done: false}, {id: 2, done: false}]});
+
+      const changed = chain.mutate(data, 'create', {id: 3, done: true}, {id: 'id'});
+      expect(changed).to.deep.equal({
+        false: [{id: 1, done: false}, {id: 2, done: false}],
+        true: [{id: 3, done: true}]
+      });
+      // the data before a change can still be changed, like on rollbacks
+      expect(chain.mutate(data, 'destroy', {id: 1}, {id: 'id'})).to.deep.equal({
+        false: [{id: 2, done: false}]
+      });
+    });
+
+    it('_normalizeQueries should set path and transform of query types', () => {
+      const results = DataLoader._normalizeQueries([
+        {endpoint: 'users', type: 'findById'},
+        {endpoint: 'users', type: 'count'},
+        {endpoint: 'users/greet', type: 'remote', verb: 'post'}
+      ]);
+
+      expect(results[0]).to.have.property('path', 'users/:id');
+      expect(results[0].placeholders).to.deep.equal(['id']);
+      expect(results[0].transform).to.equal(DataLoader._transform_single);
+      expect(results[0].mutate).to.equal(DataLoader._mutate_single);
+      expect(results[1].transform({count: 3})).to.equal(3);
+      expect(results[1]).to.have.property('normalize', false);
+      expect(results[2]).to.have.property('verb', 'POST');
+
+      expect(() => DataLoader._normalizeQueries([{endpoint: 'users', type: 'bogus'}]))
+        .to.throw('Unknown query type: bogus');
+    });
   });
 
   describe('DataLoader', () => {
-    function stubFecth({result, ok = true, statusText = ''}) {
-      const oldFetch = window.fetch;
-
-      window.fetch = function () {
-        window.fetch.callCount = 1 + window.fetch.callCount;
-
-        return new Promise(resolve => {
-          setTimeout(() => {
-            resolve({
-              ok,
-              statusText,
-              json: () => result
-            });
-          }, 300);
-        });
-      };
+    let server;
 
-      window.fetch.callCount = 0;
+    beforeEach(() => {
+      config.set({ baseUrl: '', access_token: null });
+      store.clear();
+      server = createMockServer().install();
+    });
 
-      window.fetch.restore = () => window.fetch = oldFetch;
-    }
+    afterEach(() => {
+      server.restore();
+    });
 
     const MyUsersCount = React.createClass({
       getText () {
@@ -172,7 +307,28 @@ describe('createDataLoader', () => {
       }
     });
 
-    it('should fetch data and send to Component', (done) => {
+    const filterOf = req => JSON.parse(req.query.filter);
+
+    // replaces EventSource by a fake, whose `send` emits a change on every
+    // opened source
+    function fakeEventSource() {
+      const oldEventSource = window.EventSource;
+      const fake = {
+        sources: [],
+        send: data => fake.sources.forEach(source => source.listeners.data({data: JSON.stringify(data)})),
+        restore: () => window.EventSource = oldEventSource
+      };
+      window.EventSource = function (url) {
+        fake.sources.push(this);
+        this.url = url;
+        this.listeners = {};
+        this.addEventListener = (type, listener) => this.listeners[type] = listener;
+        this.close = () => this.closed = true;
+      };
+      return fake;
+    }
+
+    it('should fetch data and send to Component', () => {
       const options = {
         queries: [{
           name: 'myUsers',
@@ -180,9 +336,7 @@ describe('createDataLoader', () => {
         }]
       };
 
-      stubFecth({
-        result: [ {name: 'John'}, {name: 'Mary'}, {name: 'Lucy'} ]
-      });
+      server.reset({ users: [{name: 'John'}, {name: 'Mary'}, {name: 'Lucy'}] });
 
       const Component = createDataLoader(MyUsersCount, options);
 
@@ -190,20 +344,22 @@ describe('createDataLoader', () => {
       const innerComponent = dataLoader.refs.component;
       const contentNode = innerComponent.refs.content;
 
-      setTimeout(() => {
-        expect(innerComponent.props).to.have.property('myUsers_status', 'loading');
-        expect(contentNode).to.have.property('textContent', 'Count: 0');
-      }, 220);
+      // the rendered state while the request is in flight
+      const sent = [];
+      server.latency = () => {
+        sent.push([innerComponent.props.myUsers_status, contentNode.textContent]);
+        return 0;
+      };
 
-      setTimeout(() => {
+      return waitForLoaders(dataLoader).then(() => {
+        expect(sent).to.deep.equal([['loading', 'Count: 0']]);
         expect(innerComponent.props).to.have.property('myUsers_status', 'ok');
+        expect(innerComponent.props.myUsers_meta.lastLoadedAt).to.be.an.instanceof(Date);
         expect(contentNode).to.have.property('textContent', 'Count: 3');
-        window.fetch.restore();
-        done();
-      }, 620);
+      });
     });
 
-    it('should inform when an error occurs', (done) => {
+    it('should inform when an error occurs', () => {
       const options = {
         queries: [{
           name: 'myUsers',
@@ -211,74 +367,103 @@ describe('createDataLoader', () => {
         }]
       };
 
-      stubFecth({
-        ok: false,
-        statusText: 'Some error message'
-      });
+      server.fail();
 
       const Component = createDataLoader(MyUsersCount, options);
 
       const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
       const innerComponent = dataLoader.refs.component;
 
-      setTimeout(() => {
-        expect(innerComponent.props).to.have.property('myUsers_status', 'loading');
-      }, 220);
+      const sent = [];
+      server.latency = () => {
+        sent.push(innerComponent.props.myUsers_status);
+        return 0;
+      };
+
+      return waitForLoaders(dataLoader).then(() => {
+        expect(sent).to.deep.equal(['loading']);
+        expect(innerComponent.props).to.have.property('myUsers_status', 'error: Error');
+      });
+    });
+
+    it('should describe the error and loading state on meta property', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users'
+        }]
+      };
+
+      server.fail({
+        status: 422,
+        name: 'ValidationError',
+        message: 'The instance is not valid.',
+        details: {messages: {email: ['is blank']}}
+      });
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const innerComponent = dataLoader.refs.component;
+
+      expect(innerComponent.props.myUsers_meta).to.deep.equal({
+        loading: false,
+        isRefreshing: false,
+        lastLoadedAt: null,
+        error: null
+      });
+
+      const sent = [];
+      server.latency = () => {
+        sent.push(innerComponent.props.myUsers_meta);
+        return 0;
+      };
 
-      setTimeout(() => {
-        expect(innerComponent.props).to.have.property('myUsers_status', 'error: Some error message');
-        window.fetch.restore();
-        done();
-      }, 620);
+      return waitForLoaders(dataLoader).then(() => {
+        expect(sent[0]).to.have.property('loading', true);
+        expect(sent[0]).to.have.property('isRefreshing', false);
+        expect(innerComponent.props).to.have.property('myUsers_status', 'error: Error');
+        expect(innerComponent.props.myUsers_meta).to.deep.equal({
+          loading: false,
+          isRefreshing: false,
+          lastLoadedAt: null,
+          error: {
+            status: 422,
+            name: 'ValidationError',
+            message: 'The instance is not valid.',
+            details: {messages: {email: ['is blank']}}
+          }
+        });
+      });
     });
 
-    it('should accept filter as a function', (done) => {
-      let filterWasCalled = false;
+    it('should accept filter as a function', () => {
       const options = {
         queries: [{
           name: 'myUsers',
           endpoint: 'users',
-          filter: ({id, page}) => ({
-            id,
+          filter: ({where, page}) => ({
+            where,
             limit: 10,
             skip: 10 * page - 10
           }),
           params: {
-            id: 42
+            where: {id: 42}
           },
           autoLoad: false
         }]
       };
 
-      stubFecth({ok: false});
-
       const Component = createDataLoader(MyUsersCount, options);
-
-      const oldBuildFn = Component._buildUrl;
-      Component._buildUrl = (endpoint, filter) => {
-        filterWasCalled = true;
-
-        expect(filter).to.have.property('id', 42);
-        expect(filter).to.have.property('limit', 10);
-        expect(filter).to.have.property('skip', 60);
-
-        return oldBuildFn(endpoint, filter);
-      };
-
       const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
 
-      dataLoader.load('myUsers', {page: 7});
-
-      setTimeout(() => {
-        expect(filterWasCalled).to.be.true;
-
-        Component._buildUrl = oldBuildFn;
-        window.fetch.restore();
-        done();
-      }, 220);
+      return dataLoader.load('myUsers', {page: 7}).then(() => {
+        expect(server.calls.map(filterOf)).to.deep.equal([
+          {where: {id: 42}, limit: 10, skip: 60}
+        ]);
+      });
     });
 
-    it('should accept a custom transform function', (done) => {
+    it('should accept a custom transform function', () => {
       const fetchData = [ {name: 'John'}, {name: 'Mary'}, {name: 'Lucy'} ];
       let transformWasCalled = false;
       const options = {
@@ -299,23 +484,20 @@ describe('createDataLoader', () => {
         }]
       };
 
-      stubFecth({
-        result: fetchData
-      });
+      server.reset({ users: fetchData });
 
       const Component = createDataLoader(MyUsersCount, options);
 
       const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
       dataLoader.load('users', {id: 10}, {key: 'value'});
 
-      setTimeout(() => {
+      return waitForLoaders(dataLoader).then(() => {
         expect(transformWasCalled).to.be.true;
-        window.fetch.restore();
-        done();
-      }, 620);
+        expect(dataLoader.refs.component.props.users_status).to.equal('ok');
+      });
     });
 
-    it('should not call load multiple times in a short period', (done) => {
+    it('should not call load multiple times in a short period', () => {
       const options = {
         queries: [{
           endpoint: 'users',
@@ -329,22 +511,18 @@ describe('createDataLoader', () => {
         }]
       };
 
-      stubFecth({ result: [] });
-
       const Component = createDataLoader(MyUsersCount, options);
       const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
 
       dataLoader.load('users', { foo: 1 });
       dataLoader.load('users', { bar: 2 });
 
-      setTimeout(() => {
-        expect(fetch.callCount).to.equal(1);
-        window.fetch.restore();
-        done();
-      }, 220);
+      return waitForLoaders(dataLoader).then(() => {
+        expect(server.calls).to.have.length(1);
+      });
     });
 
-    it('should call load for subsequent calls on different endpoints', (done) => {
+    it('should call load for subsequent calls on different endpoints', () => {
       const options = {
         queries: [
           { endpoint: 'users' },
@@ -352,19 +530,15 @@ describe('createDataLoader', () => {
         ]
       };
 
-      stubFecth({ result: [] });
-
       const Component = createDataLoader(MyUsersCount, options);
       const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
 
       dataLoader.load('users');
       dataLoader.load('orders');
 
-      setTimeout(() => {
-        expect(fetch.callCount).to.equal(2);
-        window.fetch.restore();
-        done();
-      }, 220);
+      return waitForLoaders(dataLoader).then(() => {
+        expect(_.pluck(server.calls, 'path').sort()).to.deep.equal(['orders', 'users']);
+      });
     });
 
     it('should call inner component method specified on extendMethods', () => {
@@ -375,8 +549,6 @@ describe('createDataLoader', () => {
         ]
       };
 
-      stubFecth({ result: [] });
-
       const Component = createDataLoader(MyUsersCount, options);
       const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
 
@@ -385,6 +557,793 @@ describe('createDataLoader', () => {
 
       const result2 = dataLoader.sumValues(3, 5);
       expect(result2).to.equal(8);
+      return waitForLoaders(dataLoader);
+    });
+
+    it('should ignore responses of superseded requests', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          filter: ({page}) => ({skip: page}),
+          autoLoad: false
+        }]
+      };
+
+      server.reset({ users: [{id: 1}, {id: 2}, {id: 3}] });
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const innerComponent = dataLoader.refs.component;
+
+      // the second page is requested while the first one is in flight, and
+      // responds first
+      server.latency = req => {
+        if (filterOf(req).skip === 1) {
+          dataLoader.load('myUsers', {page: 2});
+          return 400;
+        }
+        return 0;
+      };
+
+      return dataLoader.load('myUsers', {page: 1}).then(data => {
+        expect(data).to.deep.equal([{id: 3}]);
+        expect(innerComponent.props).to.have.property('myUsers_status', 'ok');
+        expect(innerComponent.props.myUsers).to.deep.equal([{id: 3}]);
+      });
+    });
+
+    it('should cancel pending loads when unmounted', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users'
+        }]
+      };
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const node = document.createElement('div');
+      const dataLoader = ReactDOM.render(<Component />, node);
+      expect(dataLoader._queries.myUsers.load.pending()).to.be.true;
+      ReactDOM.unmountComponentAtNode(node);
+
+      expect(dataLoader._queries.myUsers.load.pending()).to.be.false;
+      expect(server.calls).to.have.length(0);
+    });
+
+    it('should reload when params derived from props change', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          filter: ({userId, page}) => ({where: {userId}, skip: page}),
+          params: {page: 1},
+          paramsFromProps: ({userId}) => ({userId})
+        }]
+      };
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const node = document.createElement('div');
+      const dataLoader = ReactDOM.render(<Component userId={5} />, node);
+
+      return waitForLoaders(dataLoader)
+        .then(() => {
+          expect(server.calls.map(filterOf)).to.deep.equal([
+            {where: {userId: 5}, skip: 1}
+          ]);
+
+          ReactDOM.render(<Component userId={5} other="x" />, node);
+          ReactDOM.render(<Component userId={6} />, node);
+          return waitForLoaders(dataLoader);
+        })
+        .then(() => {
+          expect(server.calls.map(filterOf)).to.deep.equal([
+            {where: {userId: 5}, skip: 1},
+            {where: {userId: 6}, skip: 1}
+          ]);
+          ReactDOM.unmountComponentAtNode(node);
+        });
+    });
+
+    it('should fill endpoint placeholders and skip load when missing', () => {
+      const options = {
+        queries: [{
+          name: 'orders',
+          endpoint: 'users/:userId/orders',
+          filter: (params) => {
+            expect(params).to.deep.equal({page: 2});
+            return {skip: params.page};
+          },
+          params: {page: 2},
+          autoLoad: false
+        }]
+      };
+
+      server.reset({ users: [{id: 5}], orders: [{id: 1, userId: 5}, {id: 2, userId: 5}, {id: 3, userId: 5}] });
+      server.relations = { users: { orders: { model: 'orders', type: 'hasMany', foreignKey: 'userId' } } };
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      dataLoader._load('orders', {});
+      expect(server.calls).to.have.length(0);
+
+      return dataLoader.load('orders', {userId: 5}).then(orders => {
+        expect(_.pluck(server.calls, 'url')).to.deep.equal([
+          '/users/5/orders?filter=' + encodeURIComponent(JSON.stringify({skip: 2}))
+        ]);
+        expect(orders).to.deep.equal([{id: 3, userId: 5}]);
+      });
+    });
+
+    it('should load pages and count the total', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          filter: {where: {active: true}},
+          paginate: {pageSize: 2, append: true}
+        }]
+      };
+
+      server.reset({
+        users: [{id: 1, active: true}, {id: 2, active: true}, {id: 3, active: true}, {id: 4, active: false}]
+      });
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const innerComponent = dataLoader.refs.component;
+
+      return waitForLoaders(dataLoader)
+        .then(() => {
+          expect(_.pluck(server.calls, 'url')).to.deep.equal([
+            '/users?filter=' + encodeURIComponent('{"where":{"active":true},"limit":2,"skip":0}'),
+            '/users/count?where=' + encodeURIComponent('{"active":true}')
+          ]);
+          expect(innerComponent.props.myUsers_pagination).to.deep.equal({
+            page: 1, pageSize: 2, total: 3, hasMore: true
+          });
+          return dataLoader.loadNextPage('myUsers');
+        })
+        .then(() => {
+          expect(_.pluck(innerComponent.props.myUsers, 'id')).to.deep.equal([1, 2, 3]);
+          expect(innerComponent.props.myUsers_pagination).to.deep.equal({
+            page: 2, pageSize: 2, total: 3, hasMore: false
+          });
+        });
+    });
+
+    it('should load all appended pages again on refreshes', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'items',
+          paginate: {pageSize: 2, append: true}
+        }]
+      };
+
+      server.reset({ items: [{id: 1}, {id: 2}, {id: 3}, {id: 4}, {id: 5}] });
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const innerComponent = dataLoader.refs.component;
+      const lastFilter = () => filterOf(_.findLast(server.calls, call => call.path === 'items'));
+
+      return waitForLoaders(dataLoader)
+        .then(() => dataLoader.loadNextPage('myUsers'))
+        .then(() => {
+          dataLoader._refresh('myUsers');
+          return waitForLoaders(dataLoader);
+        })
+        .then(() => {
+          expect(lastFilter()).to.deep.equal({limit: 4, skip: 0});
+          expect(_.pluck(innerComponent.props.myUsers, 'id')).to.deep.equal([1, 2, 3, 4]);
+          expect(innerComponent.props.myUsers_pagination).to.deep.equal({
+            page: 2, pageSize: 2, total: 5, hasMore: true
+          });
+          invalidate('items');
+          return waitForLoaders(dataLoader);
+        })
+        .then(() => {
+          expect(lastFilter()).to.deep.equal({limit: 4, skip: 0});
+          expect(_.pluck(innerComponent.props.myUsers, 'id')).to.deep.equal([1, 2, 3, 4]);
+          return dataLoader.loadNextPage('myUsers');
+        })
+        .then(() => {
+          expect(lastFilter()).to.deep.equal({limit: 2, skip: 4});
+          expect(_.pluck(innerComponent.props.myUsers, 'id')).to.deep.equal([1, 2, 3, 4, 5]);
+        });
+    });
+
+    it('should keep data appended by hand on invalidations', () => {
+      server.reset({ chores: [{id: 1}, {id: 2}, {id: 3}, {id: 4}] });
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'chores',
+          autoLoad: false,
+          filter: ({page}) => ({limit: 2, skip: (page - 1) * 2})
+        }]
+      });
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+
+      return dataLoader.load('myUsers', {page: 1})
+        .then(() => dataLoader.load('myUsers', {page: 2}, {append: true}))
+        .then(() => {
+          invalidate('chores');
+          return waitForLoaders(dataLoader);
+        })
+        .then(() => {
+          expect(server.calls).to.have.length(2);
+          expect(_.pluck(dataLoader.refs.component.props.myUsers, 'id')).to.deep.equal([1, 2, 3, 4]);
+        });
+    });
+
+    it('should load each query type from its path', () => {
+      const options = {
+        queries: [{
+          name: 'user',
+          endpoint: 'users',
+          type: 'findById',
+          filter: {include: 'roles'},
+          params: {id: 7}
+        }, {
+          name: 'admin',
+          endpoint: 'users',
+          type: 'findOne',
+          filter: {where: {admin: true}}
+        }, {
+          name: 'total',
+          endpoint: 'users',
+          type: 'count',
+          filter: {where: {active: true}}
+        }, {
+          name: 'found',
+          endpoint: 'users',
+          type: 'exists',
+          params: {id: 7}
+        }, {
+          name: 'greeting',
+          endpoint: 'users/:userId/greet',
+          type: 'remote',
+          verb: 'post',
+          args: params => ({since: params.since, tags: ['a']}),
+          body: {polite: true},
+          params: {userId: 7, since: 'today'}
+        }]
+      };
+
+      server.reset({
+        users: [{id: 1, admin: true, active: true}, {id: 7, name: 'John', active: true}, {id: 8, active: true}],
+        roles: [{id: 1, userId: 7}]
+      });
+      server.relations = { users: { roles: { model: 'roles', type: 'hasMany', foreignKey: 'userId' } } };
+      let greeted;
+      server.remote('post', 'users/:userId/greet', ({params, query, body}) => {
+        greeted = {params, query, body};
+        return {greeting: 'Hello'};
+      });
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const innerComponent = dataLoader.refs.component;
+      expect(innerComponent.props.user).to.be.null;
+
+      return waitForLoaders(dataLoader).then(() => {
+        expect(_.pluck(server.calls, 'url').sort()).to.deep.equal([
+          '/users/7/exists',
+          '/users/7/greet?since=today&tags=' + encodeURIComponent('["a"]'),
+          '/users/7?filter=' + encodeURIComponent('{"include":"roles"}'),
+          '/users/count?where=' + encodeURIComponent('{"active":true}'),
+          '/users/findOne?filter=' + encodeURIComponent('{"where":{"admin":true}}')
+        ].sort());
+        expect(greeted).to.deep.equal({
+          params: {userId: '7'},
+          query: {since: 'today', tags: '["a"]'},
+          body: {polite: true}
+        });
+
+        expect(innerComponent.props.user).to.deep.equal({
+          id: 7, name: 'John', active: true, roles: [{id: 1, userId: 7}]
+        });
+        expect(innerComponent.props.admin).to.deep.equal({id: 1, admin: true, active: true});
+        expect(innerComponent.props.total).to.equal(3);
+        expect(innerComponent.props.found).to.be.true;
+        expect(innerComponent.props.greeting).to.deep.equal({greeting: 'Hello'});
+      });
+    });
+
+    it('should render cached data and revalidate it in background', () => {
+      server.reset({ users: [{id: 1}, {id: 2}] });
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{name: 'myUsers', endpoint: 'users', cachePolicy: 'cache-and-network'}]
+      });
+      cache.clear();
+
+      const first = ReactTestUtils.renderIntoDocument(<Component />);
+      return waitForLoaders(first)
+        .then(() => {
+          server.reset({ users: [{id: 1}, {id: 2}, {id: 3}] });
+          const second = ReactTestUtils.renderIntoDocument(<Component />);
+          const innerComponent = second.refs.component;
+          expect(innerComponent.props.myUsers).to.have.length(2);
+          expect(innerComponent.props.myUsers_status).to.equal('ok');
+
+          return waitForLoaders(second).then(() => {
+            expect(innerComponent.props.myUsers).to.have.length(3);
+            expect(server.calls).to.have.length(2);
+          });
+        });
+    });
+
+    it('should not load fresh cached data again', () => {
+      server.reset({ users: [{id: 1}] });
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{name: 'myUsers', endpoint: 'users', cachePolicy: 'cache-first'}]
+      });
+      cache.clear();
+
+      const first = ReactTestUtils.renderIntoDocument(<Component />);
+      return waitForLoaders(first)
+        .then(() => {
+          const second = ReactTestUtils.renderIntoDocument(<Component />);
+          second.load('myUsers');
+          return waitForLoaders(second).then(() => {
+            expect(second.refs.component.props.myUsers).to.deep.equal([{id: 1}]);
+            expect(server.calls).to.have.length(1);
+          });
+        });
+    });
+
+    it('should not cache responses of network-only queries', () => {
+      server.reset({ users: [{id: 1}] });
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{name: 'myUsers', endpoint: 'users'}]
+      });
+      cache.clear();
+
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      return waitForLoaders(dataLoader).then(() => {
+        expect(dataLoader.refs.component.props.myUsers).to.deep.equal([{id: 1}]);
+        expect(cache.get('/users')).to.be.undefined;
+      });
+    });
+
+    it('should resolve load with the data when it finishes', () => {
+      server.reset({ users: [{id: 1}, {id: 2}] });
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{name: 'myUsers', endpoint: 'users', autoLoad: false}]
+      });
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+
+      return Promise.all([
+        dataLoader.load('myUsers', {page: 1}),
+        dataLoader.load('myUsers', {page: 2})
+      ])
+        .then(([first, second]) => {
+          expect(first).to.deep.equal([{id: 1}, {id: 2}]);
+          expect(second).to.equal(first);
+          expect(server.calls).to.have.length(1);
+          server.fail();
+          return dataLoader.load('myUsers');
+        })
+        .then(data => {
+          expect(data).to.deep.equal([{id: 1}, {id: 2}]);
+          expect(dataLoader.refs.component.props.myUsers_meta.error.status).to.equal(500);
+        });
+    });
+
+    it('should call onSuccess, onError and onSettled callbacks', () => {
+      server.reset({ users: [{id: 1}] });
+      const calls = [];
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          autoLoad: false,
+          filter: {where: {id: 1}},
+          params: {page: 1},
+          onSuccess: (data, info) => calls.push(['success', data, info]),
+          onError: error => calls.push(['error', error.status]),
+          onSettled: (data, error, info) => calls.push(['settled', data, error && error.status, info])
+        }]
+      });
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const info = {filter: {where: {id: 1}}, params: {page: 1}};
+
+      return dataLoader.load('myUsers')
+        .then(() => {
+          expect(calls).to.deep.equal([
+            ['success', [{id: 1}], info],
+            ['settled', [{id: 1}], null, info]
+          ]);
+          calls.length = 0;
+          server.fail();
+          return dataLoader.load('myUsers');
+        })
+        .then(() => {
+          expect(calls).to.deep.equal([
+            ['error', 500],
+            ['settled', [{id: 1}], 500, info]
+          ]);
+        });
+    });
+
+    it('should settle loads when callbacks throw', () => {
+      server.reset({ reminders: [{id: 1}] });
+      const logged = [];
+      const oldError = console.error; // eslint-disable-line no-console
+      console.error = err => logged.push(err.message); // eslint-disable-line no-console
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'reminders',
+          autoLoad: false,
+          cachePolicy: 'cache-first',
+          onSuccess: () => { throw new Error('boom'); },
+          onSettled: () => { throw new Error('settled'); }
+        }]
+      });
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const restore = () => { console.error = oldError; }; // eslint-disable-line no-console
+
+      return dataLoader.load('myUsers')
+        .then(data => {
+          expect(data).to.deep.equal([{id: 1}]);
+          // fresh cached data settles synchronously
+          return dataLoader.load('myUsers');
+        })
+        .then(data => {
+          restore();
+          expect(data).to.deep.equal([{id: 1}]);
+          expect(logged).to.deep.equal(['boom', 'settled', 'boom', 'settled']);
+        }, err => {
+          restore();
+          throw err;
+        });
+    });
+
+    it('should render loading and error components until queries load', () => {
+      server.reset({ reports: [{id: 1}], notes: [] });
+      server.fail({path: 'reports'});
+      const Loading = () => <span>Loading</span>;
+      const Failure = ({error, errors}) => <span>Failed: {error.status} {_.keys(errors).join()}</span>;
+      const Component = createDataLoader(MyUsersCount, {
+        loadingComponent: Loading,
+        errorComponent: Failure,
+        extendMethods: ['getText'],
+        queries: [
+          {name: 'myUsers', endpoint: 'reports'},
+          {name: 'notes', endpoint: 'notes', autoLoad: false}
+        ]
+      });
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const text = () => ReactDOM.findDOMNode(dataLoader).textContent;
+
+      expect(text()).to.equal('Loading');
+      expect(dataLoader.getText()).to.be.undefined;
+      return waitForLoaders(dataLoader)
+        .then(() => {
+          expect(text()).to.equal('Failed: 500 myUsers');
+          return dataLoader._retry();
+        })
+        .then(() => {
+          expect(text()).to.equal('Count: 1');
+          expect(dataLoader.getText()).to.equal('Count: 1');
+          const {props} = dataLoader.refs.component;
+          expect(props.dataloader_loading).to.be.false;
+          expect(props.dataloader_errors).to.be.null;
+        });
+    });
+
+    it('should render when any query loads with renderWhen anyLoaded', () => {
+      server.reset({ reports: [{id: 1}], notes: [] });
+      server.fail({path: 'notes'});
+      const Component = createDataLoader(MyUsersCount, {
+        renderWhen: 'anyLoaded',
+        queries: [
+          {name: 'myUsers', endpoint: 'reports'},
+          {name: 'notes', endpoint: 'notes'}
+        ]
+      });
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+
+      expect(ReactDOM.findDOMNode(dataLoader)).to.be.null;
+      expect(() => createDataLoader(MyUsersCount, {renderWhen: 'loaded', queries: []}))
+        .to.throw('options.renderWhen must be');
+      return waitForLoaders(dataLoader)
+        .then(() => {
+          const {props} = dataLoader.refs.component;
+          expect(props.myUsers).to.deep.equal([{id: 1}]);
+          expect(props.dataloader_errors.notes.status).to.equal(500);
+        });
+    });
+
+    it('should refetch queries of a model after writes', () => {
+      server.reset({ notes: [{id: 1}], tasks: [{id: 1}], summaries: [{id: 1}] });
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [
+          {name: 'myUsers', endpoint: 'notes'},
+          {name: 'summaries', endpoint: 'summaries', tags: ['notes']},
+          {name: 'tasks', endpoint: 'tasks'}
+        ]
+      });
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+
+      return waitForLoaders(dataLoader)
+        .then(() => {
+          server.calls.length = 0;
+          return api.create('notes', {id: 2});
+        })
+        .then(() => waitForLoaders(dataLoader))
+        .then(() => {
+          const gets = server.calls.filter(call => call.method === 'GET');
+          expect(_.pluck(gets, 'path').sort()).to.deep.equal(['notes', 'summaries']);
+          const {props} = dataLoader.refs.component;
+          expect(props.myUsers).to.deep.equal([{id: 1}, {id: 2}]);
+          expect(props.myUsers_status).to.equal('ok');
+        });
+    });
+
+    it('should poll and refetch in background', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          pollInterval: 400,
+          refetchOnWindowFocus: true
+        }]
+      };
+      const statuses = [];
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const node = document.createElement('div');
+      const dataLoader = ReactDOM.render(<Component />, node);
+      const innerComponent = dataLoader.refs.component;
+      const oldRender = innerComponent.render;
+      innerComponent.render = function () {
+        statuses.push(this.props.myUsers_status);
+        return oldRender.call(this);
+      };
+
+      return waitForLoaders(dataLoader)
+        .then(() => {
+          expect(server.calls).to.have.length(1);
+          const event = document.createEvent('Event');
+          event.initEvent('focus', false, false);
+          window.dispatchEvent(event);
+          expect(innerComponent.props.myUsers_meta).to.have.property('isRefreshing', true);
+          return waitForLoaders(dataLoader);
+        })
+        .then(() => {
+          expect(server.calls).to.have.length(2);
+          // resolves when the next poll is sent
+          return new Promise(resolve => server.latency = () => {
+            resolve();
+            return 0;
+          });
+        })
+        .then(() => waitForLoaders(dataLoader))
+        .then(() => {
+          expect(server.calls).to.have.length(3);
+          expect(statuses.filter(status => status === 'loading')).to.have.length(1);
+          ReactDOM.unmountComponentAtNode(node);
+          // no more polls after unmount
+          return new Promise(resolve => setTimeout(resolve, 450));
+        })
+        .then(() => {
+          expect(server.calls).to.have.length(3);
+        });
+    });
+
+    it('should apply changes from the change stream', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          live: true
+        }]
+      };
+      const eventSource = fakeEventSource();
+      const send = eventSource.send;
+
+      server.reset({ users: [{id: 1, name: 'John'}, {id: 2, name: 'Mary'}] });
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const node = document.createElement('div');
+      const dataLoader = ReactDOM.render(<Component />, node);
+      const innerComponent = dataLoader.refs.component;
+
+      return waitForLoaders(dataLoader).then(() => {
+        const [source] = eventSource.sources;
+        expect(source.url).to.equal('/users/change-stream?_format=event-stream');
+
+        send({type: 'create', target: 3, data: {id: 3, name: 'Lucy'}});
+        send({type: 'update', target: 1, data: {name: 'Johnny'}});
+        send({type: 'remove', target: 2});
+
+        expect(innerComponent.props.myUsers).to.deep.equal([
+          {id: 1, name: 'Johnny'},
+          {id: 3, name: 'Lucy'}
+        ]);
+
+        ReactDOM.unmountComponentAtNode(node);
+        expect(source.closed).to.be.true;
+        eventSource.restore();
+      });
+    });
+
+    it('should apply changes from the change stream according to the filter', () => {
+      const eventSource = fakeEventSource();
+      server.reset({ todos: [{id: 1, done: false}, {id: 2, done: true}, {id: 3, done: false}] });
+
+      const Filtered = createDataLoader(MyUsersCount, {
+        queries: [{name: 'myUsers', endpoint: 'todos', live: true, filter: {where: {done: false}}}]
+      });
+      const Limited = createDataLoader(MyUsersCount, {
+        queries: [{name: 'myUsers', endpoint: 'todos', live: true, filter: {limit: 2}}]
+      });
+      const nodes = [document.createElement('div'), document.createElement('div')];
+      const filtered = ReactDOM.render(<Filtered />, nodes[0]);
+      const limited = ReactDOM.render(<Limited />, nodes[1]);
+      const limitedCalls = () => server.calls.filter(call => call.query.filter === '{"limit":2}');
+
+      return Promise.all([waitForLoaders(filtered), waitForLoaders(limited)])
+        .then(() => {
+          eventSource.send({type: 'create', target: 4, data: {id: 4, done: true}});
+          eventSource.send({type: 'create', target: 5, data: {id: 5, done: false}});
+          eventSource.send({type: 'update', target: 1, data: {id: 1, done: true}});
+          eventSource.send({type: 'update', target: 2, data: {id: 2, done: false}});
+
+          expect(filtered.refs.component.props.myUsers).to.deep.equal([
+            {id: 3, done: false},
+            {id: 5, done: false},
+            {id: 2, done: false}
+          ]);
+          // limited queries are loaded again
+          expect(limited.refs.component.props.myUsers_meta.isRefreshing).to.be.true;
+          return waitForLoaders(limited);
+        })
+        .then(() => {
+          expect(limitedCalls()).to.have.length(2);
+          expect(limited.refs.component.props.myUsers).to.deep.equal([{id: 1, done: false}, {id: 2, done: true}]);
+          nodes.forEach(node => ReactDOM.unmountComponentAtNode(node));
+          eventSource.restore();
+        });
+    });
+
+    it('should load relation routes again on changes from the change stream', () => {
+      const eventSource = fakeEventSource();
+      server.reset({ customers: [{id: 5}], orders: [{id: 1, customerId: 5}] });
+      server.relations = { customers: { orders: { model: 'orders', type: 'hasMany', foreignKey: 'customerId' } } };
+
+      const Component = createDataLoader(MyUsersCount, {
+        queries: [{name: 'myUsers', endpoint: 'customers/:customerId/orders', live: true, params: {customerId: 5}}]
+      });
+      const node = document.createElement('div');
+      const dataLoader = ReactDOM.render(<Component />, node);
+
+      return waitForLoaders(dataLoader)
+        .then(() => {
+          expect(eventSource.sources[0].url).to.contain('/orders/change-stream');
+          eventSource.send({type: 'create', target: 99, data: {id: 99, customerId: 777}});
+          expect(dataLoader.refs.component.props.myUsers_meta.isRefreshing).to.be.true;
+          return waitForLoaders(dataLoader);
+        })
+        .then(() => {
+          expect(server.calls).to.have.length(2);
+          expect(dataLoader.refs.component.props.myUsers).to.deep.equal([{id: 1, customerId: 5}]);
+          ReactDOM.unmountComponentAtNode(node);
+          eventSource.restore();
+        });
+    });
+
+    it('should combine batched lookups of many DataLoaders', () => {
+      const options = {
+        queries: [{
+          name: 'user',
+          endpoint: 'users',
+          type: 'findById',
+          batch: true,
+          filter: {include: 'role'},
+          relations: {role: 'roles'},
+          paramsFromProps: ({userId}) => ({id: userId})
+        }]
+      };
+
+      server.reset({ users: [{id: 1, roleId: 1}, {id: 2}, {id: 3}], roles: [{id: 1}] });
+      server.relations = { users: { role: { model: 'roles', type: 'belongsTo', foreignKey: 'roleId' } } };
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoaderA = ReactTestUtils.renderIntoDocument(<Component userId={1} />);
+      const dataLoaderB = ReactTestUtils.renderIntoDocument(<Component userId={2} />);
+
+      return Promise.all([waitForLoaders(dataLoaderA), waitForLoaders(dataLoaderB)]).then(() => {
+        const filter = {where: {id: {inq: ['1', '2']}}, include: 'role'};
+        expect(_.pluck(server.calls, 'url')).to.deep.equal([
+          '/users?filter=' + encodeURIComponent(JSON.stringify(filter))
+        ]);
+        expect(dataLoaderA.refs.component.props.user).to.deep.equal({id: 1, roleId: 1, role: {id: 1}});
+        expect(dataLoaderB.refs.component.props.user).to.deep.equal({id: 2, role: null});
+      });
+    });
+
+    it('should create a record and merge the result into data', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          autoLoad: false
+        }]
+      };
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const innerComponent = dataLoader.refs.component;
+
+      return dataLoader.create('myUsers', {name: 'John'}).then(json => {
+        const [req] = server.calls;
+        expect(req).to.have.property('url', '/users');
+        expect(req).to.have.property('method', 'POST');
+        expect(req.body).to.deep.equal({name: 'John'});
+        expect(json).to.deep.equal({id: 1, name: 'John'});
+        expect(innerComponent.props.myUsers).to.deep.equal([{id: 1, name: 'John'}]);
+      });
+    });
+
+    it('should share changed records with other DataLoaders', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          autoLoad: false
+        }]
+      };
+
+      server.reset({ users: [{id: 1, name: 'John'}, {id: 2, name: 'Lucy'}] });
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoaderA = ReactTestUtils.renderIntoDocument(<Component />);
+      const dataLoaderB = ReactTestUtils.renderIntoDocument(<Component />);
+      dataLoaderA._data.myUsers = [{id: 1, name: 'John'}];
+      dataLoaderA._normalize('myUsers', dataLoaderA._data.myUsers);
+      dataLoaderB._data.myUsers = [{id: 1, name: 'John'}, {id: 2, name: 'Lucy'}];
+      dataLoaderB._normalize('myUsers', dataLoaderB._data.myUsers);
+
+      return dataLoaderA.update('myUsers', 1, {name: 'Mary'}).then(() => {
+        expect(dataLoaderB.refs.component.props.myUsers).to.deep.equal([
+          {id: 1, name: 'Mary'},
+          {id: 2, name: 'Lucy'}
+        ]);
+      });
+    });
+
+    it('should roll back an optimistic update when request fails', () => {
+      const options = {
+        queries: [{
+          name: 'myUsers',
+          endpoint: 'users',
+          transform: 'object',
+          autoLoad: false
+        }]
+      };
+
+      const Component = createDataLoader(MyUsersCount, options);
+      const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+      const innerComponent = dataLoader.refs.component;
+      dataLoader._data.myUsers = {7: {id: 7, name: 'John'}};
+
+      const updated = dataLoader.update('myUsers', 7, {name: 'Mary'}, {optimistic: true});
+      expect(innerComponent.props.myUsers).to.deep.equal({7: {id: 7, name: 'Mary'}});
+
+      return updated.then(() => {
+        throw new Error('should fail');
+      }, err => {
+        const [req] = server.calls;
+        expect(req).to.have.property('url', '/users/7');
+        expect(req).to.have.property('method', 'PATCH');
+        expect(err).to.have.property('status', 404);
+        expect(innerComponent.props.myUsers).to.deep.equal({7: {id: 7, name: 'John'}});
+      });
     });
   });
 });
@@ -0,0 +1,88 @@
+/*eslint-env mocha */
+/*global expect */
+import { buildUrl } from '../api';
+import { filter, validateFilter, warnInvalidFilter, where } from '../filter';
+
+describe('filter', () => {
+  it('should build where conditions', () => {
+    const due = new Date(0);
+
+    expect(where('status').eq('open').and('due').lt(due).build()).to.deep.equal({
+      where: { status: 'open', due: { lt: due } }
+    });
+    expect(where('a').gt(1).and('a').lt(5).build()).to.deep.equal({
+      where: { and: [ { a: { gt: 1 } }, { a: { lt: 5 } } ] }
+    });
+    expect(where('a').eq(1).and('b').inq([ 2, 3 ]).or('c').between(4, 5).build()).to.deep.equal({
+      where: { or: [ { a: 1, b: { inq: [ 2, 3 ] } }, { c: { between: [ 4, 5 ] } } ] }
+    });
+    expect(() => filter().eq(1)).to.throw('Call where, and or or before eq');
+  });
+
+  it('should build order, limit, fields and nested includes', () => {
+    const built = filter()
+      .order('due DESC', 'title')
+      .limit(20)
+      .skip(40)
+      .fields('id', 'title')
+      .include('owner')
+      .include('comments', q => q.where('approved').eq(true).limit(5).include('author', a => a.fields('name')))
+      .build();
+
+    expect(built).to.deep.equal({
+      order: [ 'due DESC', 'title' ],
+      limit: 20,
+      skip: 40,
+      fields: { id: true, title: true },
+      include: [
+        'owner',
+        {
+          relation: 'comments',
+          scope: {
+            where: { approved: true },
+            limit: 5,
+            include: { relation: 'author', scope: { fields: { name: true } } }
+          }
+        }
+      ]
+    });
+    expect(validateFilter(built)).to.deep.equal([]);
+  });
+
+  it('should be accepted as filter of URLs', () => {
+    expect(buildUrl('tasks', where('done').eq(false).limit(1)))
+      .to.equal('/tasks?filter=' + encodeURIComponent('{"limit":1,"where":{"done":false}}'));
+  });
+
+  it('should report errors of hand-written filters', () => {
+    expect(validateFilter({
+      where: { status: { inqq: [ 'open' ] }, id: { nin: 3 }, or: { a: 1 } },
+      order: { name: 'asc' },
+      limit: -1,
+      feilds: [ 'id' ],
+      include: { relation: 'owner', scope: { where: { age: { between: [ 1 ] } } } }
+    })).to.deep.equal([
+      'Unknown operator \'inqq\' on filter.where.status. Did you mean \'inq\'?',
+      'filter.where.id.nin must be an array, got 3',
+      'filter.where.or must be an array of where objects, got {"a":1}',
+      'filter.order must be a string like \'name ASC\' or an array of them, got {"name":"asc"}',
+      'filter.limit must be a non-negative integer, got -1',
+      'Unknown filter property \'feilds\' on filter. Did you mean \'fields\'?',
+      'filter.include.scope.where.age.between must be an array of 2 values, got [1]'
+    ]);
+  });
+
+  it('should warn about invalid filters once', () => {
+    const oldError = console.error; // eslint-disable-line no-console
+    const messages = [];
+    console.error = message => messages.push(message); // eslint-disable-line no-console
+
+    warnInvalidFilter({ limt: 1 }, 'tasks');
+    warnInvalidFilter({ limt: 1 }, 'tasks');
+    console.error = oldError; // eslint-disable-line no-console
+
+    expect(messages).to.deep.equal([
+      'react-loopback: Invalid filter of tasks: Unknown filter property \'limt\' on filter. Did you mean \'limit\'?'
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+/*eslint-env mocha */
+/*global expect */
+import { createClient } from '../client';
+import { createOfflineQueue } from '../offline';
+
+describe('offline', () => {
+  let oldFetch, client, queue;
+
+  function respond(status, result) {
+    return Promise.resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: 'status ' + status,
+      json: () => result
+    });
+  }
+
+  beforeEach(() => {
+    oldFetch = window.fetch;
+    window.localStorage.removeItem('test:offline');
+    client = createClient({ baseUrl: '/api' });
+    queue = createOfflineQueue({ client, key: 'test:offline' });
+  });
+
+  afterEach(() => {
+    window.fetch = oldFetch;
+    queue.stop();
+  });
+
+  it('should queue writes that fail with network errors and replay them in order', () => {
+    const events = [];
+    queue.on('queued', write => events.push('queued ' + write.method));
+    queue.on('replayed', ({ write }) => events.push('replayed ' + write.method));
+    queue.on('conflict', ({ write, error }) => events.push('conflict ' + write.method + ' ' + error.status));
+
+    window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    const created = client.create('todos', { title: 'Buy milk' });
+    const updated = client.update('todos', 1, { done: true }).then(() => null, err => err);
+
+    return new Promise(resolve => setTimeout(resolve, 10))
+      .then(() => {
+        const saved = JSON.parse(window.localStorage.getItem('test:offline'));
+        expect(saved.map(write => write.url)).to.deep.equal([ '/api/todos', '/api/todos/1' ]);
+
+        const order = [];
+        window.fetch = (url, init) => {
+          order.push(init.method);
+          return init.method === 'POST' ?
+            respond(200, { id: 2, title: 'Buy milk' }) :
+            respond(409, { error: { name: 'Error', message: 'Conflict' } });
+        };
+        return queue.replay().then(() => order);
+      })
+      .then(order => {
+        expect(order).to.deep.equal([ 'POST', 'PATCH' ]);
+        expect(queue.writes()).to.have.length(0);
+        expect(window.localStorage.getItem('test:offline')).to.equal('[]');
+        expect(events).to.deep.equal([
+          'queued POST', 'queued PATCH', 'replayed POST', 'conflict PATCH 409'
+        ]);
+        return Promise.all([ created, updated ]);
+      })
+      .then(([ record, error ]) => {
+        expect(record).to.deep.equal({ id: 2, title: 'Buy milk' });
+        expect(error.status).to.equal(409);
+      });
+  });
+
+  it('should keep writes queued while the network fails', () => {
+    window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    client.destroy('todos', 1);
+
+    return new Promise(resolve => setTimeout(resolve, 10))
+      .then(() => queue.replay())
+      .then(() => {
+        expect(queue.writes().map(write => write.method)).to.deep.equal([ 'DELETE' ]);
+      });
+  });
+
+  it('should keep writes queued when the access token is rejected', () => {
+    const events = [];
+    queue.on('conflict', ({ write }) => events.push('conflict ' + write.method));
+    queue.on('unauthorized', ({ write, error }) => events.push('unauthorized ' + write.method + ' ' + error.status));
+
+    window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    client.create('todos', { title: 'Buy milk' });
+    client.destroy('todos', 1);
+
+    return new Promise(resolve => setTimeout(resolve, 10))
+      .then(() => {
+        window.fetch = () => respond(401, { error: { name: 'Error', message: 'Authorization Required' } });
+        return queue.replay();
+      })
+      .then(() => {
+        expect(events).to.deep.equal([ 'unauthorized POST 401' ]);
+        expect(queue.writes().map(write => write.method)).to.deep.equal([ 'POST', 'DELETE' ]);
+      });
+  });
+});
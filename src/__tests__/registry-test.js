@@ -0,0 +1,61 @@
+/*eslint-env mocha */
+/*global expect */
+import cache from '../cache';
+import config from '../config';
+import { createClient } from '../client';
+import { Registry, modelOf } from '../registry';
+
+describe('registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+    cache.clear();
+  });
+
+  it('should get the model of endpoints', () => {
+    expect(modelOf('users')).to.equal('users');
+    expect(modelOf('users/:userId/tasks')).to.equal('tasks');
+    expect(modelOf('users/1')).to.equal('users');
+  });
+
+  it('should refetch queries registered under a model or tag', () => {
+    const refetched = [];
+    const unregisterUsers = registry.register({ model: 'users', refetch: () => refetched.push('users') });
+    registry.register({ model: 'stats', tags: [ 'users' ], refetch: () => refetched.push('stats') });
+    registry.register({ model: 'tasks', refetch: () => refetched.push('tasks') });
+
+    registry.invalidate('users');
+    expect(refetched).to.deep.equal([ 'users', 'stats' ]);
+
+    unregisterUsers();
+    refetched.length = 0;
+    registry.invalidate('users');
+    expect(refetched).to.deep.equal([ 'stats' ]);
+  });
+
+  it('should mark cached entries as stale', () => {
+    cache.set('/users', [ 1 ], [ 'users' ]);
+    cache.set('/stats', {}, [ 'stats', 'users' ]);
+    cache.set('/tasks', [ 2 ], [ 'tasks' ]);
+
+    registry.invalidate('users');
+    expect(cache.get('/users').stale).to.be.true;
+    expect(cache.get('/stats').stale).to.be.true;
+    expect(cache.get('/tasks').stale).to.be.undefined;
+  });
+
+  it('should only invalidate the queries and entries of the given client', () => {
+    const client = createClient({ baseUrl: 'http://other/api' });
+    const refetched = [];
+    registry.register({ model: 'posts', client: config, refetch: () => refetched.push('global') });
+    registry.register({ model: 'posts', client, refetch: () => refetched.push('other') });
+    cache.set('/posts', [ 1 ], [ 'posts' ]);
+    cache.set('http://other/api/posts', [ 2 ], [ 'posts' ]);
+
+    registry.invalidate('posts', client);
+    expect(refetched).to.deep.equal([ 'other' ]);
+    expect(cache.get('/posts').stale).to.be.undefined;
+    expect(cache.get('http://other/api/posts').stale).to.be.true;
+  });
+});
@@ -0,0 +1,228 @@
+/*eslint-env mocha */
+/*global expect */
+import config from '../config';
+import { accessToken, checkStatus } from '../middleware';
+import { createAbortController, request } from '../request';
+
+describe('request', () => {
+  let oldFetch, calls;
+
+  function stubFetch({ status = 200, result = null, delay = 0 }) {
+    calls = [];
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      return new Promise(resolve => setTimeout(() => resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: 'status ' + status,
+        json: () => result
+      }), delay));
+    };
+  }
+
+  beforeEach(() => {
+    oldFetch = window.fetch;
+    config.set('access_token', 'abc123');
+  });
+
+  afterEach(() => {
+    window.fetch = oldFetch;
+    config.set('access_token', null);
+  });
+
+  it('should send the access token on Authorization header', () => {
+    stubFetch({ result: [] });
+
+    return request('/users').then(() => {
+      expect(calls[0].init.headers).to.deep.equal({
+        'Accept': 'application/json',
+        'Authorization': 'abc123'
+      });
+    });
+  });
+
+  it('should pass request and response through middleware', () => {
+    const order = [];
+    const removeTenant = config.use((req, next) => {
+      order.push('tenant');
+      return Promise.resolve('acme').then(tenant => next({
+        ...req,
+        headers: { ...req.headers, 'X-Tenant': tenant }
+      }));
+    });
+    const unwrap = (req, next) => {
+      order.push('unwrap');
+      return next(req).then(res => ({ ...res, body: res.body.data }));
+    };
+
+    stubFetch({ result: { data: [ 1, 2 ] } });
+
+    return request('/users', { method: 'POST', body: {}, middleware: [ unwrap ] })
+      .then(json => {
+        removeTenant();
+        expect(order).to.deep.equal([ 'tenant', 'unwrap' ]);
+        expect(json).to.deep.equal([ 1, 2 ]);
+        expect(calls[0].init.method).to.equal('POST');
+        expect(calls[0].init.headers).to.have.property('X-Tenant', 'acme');
+        expect(calls[0].init.headers).to.have.property('Content-Type', 'application/json');
+      });
+  });
+
+  it('should let middleware handle errors', () => {
+    const remove = config.use((req, next) => next(req).catch(err => ({
+      status: err.status,
+      body: { fallback: true }
+    })));
+
+    stubFetch({ status: 500 });
+
+    return request('/users').then(json => {
+      remove();
+      expect(json).to.deep.equal({ fallback: true });
+    });
+  });
+
+  it('should allow replacing built-in middleware', () => {
+    config.replaceMiddleware('accessToken', (req, next) => next({
+      ...req,
+      headers: { ...req.headers, 'X-Access-Token': req.accessToken }
+    }));
+    config.replaceMiddleware('checkStatus', null);
+
+    stubFetch({ status: 404, result: { error: {} } });
+
+    return request('/users').then(json => {
+      config.replaceMiddleware('accessToken', accessToken);
+      config.replaceMiddleware('checkStatus', checkStatus);
+      expect(json).to.deep.equal({ error: {} });
+      expect(calls[0].init.headers).to.not.have.property('Authorization');
+      expect(calls[0].init.headers).to.have.property('X-Access-Token', 'abc123');
+    });
+  });
+
+  it('should share identical GET requests in flight', () => {
+    stubFetch({ result: [ 1 ], delay: 20 });
+    const controller = createAbortController();
+
+    const first = request('/users');
+    const second = request('/users');
+    const other = request('/orders');
+    // AbortController is not available on every environment
+    const aborted = controller ?
+      request('/users', { signal: controller.signal }).then(() => 'resolved', err => err.name) :
+      'AbortError';
+    if (controller) controller.abort();
+
+    return Promise.all([ first, second, other, aborted ]).then(([ a, b, c, abortResult ]) => {
+      expect(calls.map(call => call.url)).to.deep.equal([ '/users', '/orders' ]);
+      expect(a).to.equal(b);
+      expect(c).to.deep.equal([ 1 ]);
+      expect(abortResult).to.equal('AbortError');
+    });
+  });
+
+  it('should not share requests with different headers', () => {
+    stubFetch({ result: [], delay: 20 });
+    const tenant = name => (req, next) => next({ ...req, headers: { ...req.headers, 'X-Tenant': name } });
+
+    return Promise.all([
+      request('/users', { middleware: [ tenant('a') ] }),
+      request('/users', { middleware: [ tenant('b') ] }),
+      request('/users', { middleware: [ tenant('a') ] })
+    ]).then(() => {
+      expect(calls.map(call => call.init.headers['X-Tenant'])).to.deep.equal([ 'a', 'b' ]);
+    });
+  });
+
+  it('should not share requests when dedupe is disabled', () => {
+    stubFetch({ result: [] });
+    config.set('dedupe', false);
+
+    return Promise.all([ request('/users'), request('/users') ]).then(() => {
+      config.set('dedupe', true);
+      expect(calls).to.have.length(2);
+    });
+  });
+
+  it('should emit request, success, error and tokenExpired events', () => {
+    const events = [];
+    const removers = [ 'request', 'success', 'error', 'tokenExpired' ].map(event => (
+      config.on(event, info => events.push({ event, info }))
+    ));
+    const removeAll = () => removers.forEach(remove => remove());
+
+    stubFetch({ result: [ 1 ] });
+
+    return request('/users')
+      .then(() => {
+        expect(events.map(e => e.event)).to.deep.equal([ 'request', 'success' ]);
+        expect(events[0].info.url).to.equal('/users');
+        expect(events[1].info.request).to.equal(events[0].info);
+        expect(events[1].info.response.body).to.deep.equal([ 1 ]);
+
+        events.length = 0;
+        stubFetch({ status: 401 });
+        return request('/users');
+      })
+      .then(() => {
+        throw new Error('Request should fail');
+      }, err => {
+        removeAll();
+        expect(events.map(e => e.event)).to.deep.equal([ 'request', 'tokenExpired', 'error' ]);
+        expect(events[1].info).to.have.property('method', 'GET');
+        expect(events[2].info.error).to.equal(err);
+      });
+  });
+
+  it('should retry failed requests with backoff', () => {
+    let attempts = 0;
+    calls = [];
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      attempts += 1;
+      if (attempts === 1) {
+        return Promise.reject(new TypeError('Failed to fetch'));
+      }
+      return Promise.resolve({
+        ok: attempts > 2,
+        status: attempts > 2 ? 200 : 503,
+        statusText: 'status',
+        json: () => [ 1 ]
+      });
+    };
+
+    const retry = { attempts: 3, delay: 10 };
+    return request('/users', { retry })
+      .then(result => {
+        expect(result).to.deep.equal([ 1 ]);
+        expect(calls).to.have.length(3);
+
+        attempts = 0;
+        return request('/users', { method: 'POST', body: {}, retry });
+      })
+      .then(() => {
+        throw new Error('Request should fail');
+      }, err => {
+        expect(err.message).to.equal('Failed to fetch');
+        expect(attempts).to.equal(1);
+      });
+  });
+
+  it('should fail attempts that take longer than timeout', () => {
+    stubFetch({ result: [], delay: 100 });
+
+    return request('/users', { timeout: 20 })
+      .then(() => {
+        throw new Error('Request should fail');
+      }, err => {
+        expect(err.name).to.equal('TimeoutError');
+        return request('/users', { timeout: 20, retry: { attempts: 2, delay: 10 } });
+      })
+      .then(() => {
+        throw new Error('Request should fail');
+      }, err => {
+        expect(err.name).to.equal('TimeoutError');
+        expect(calls).to.have.length(3);
+      });
+  });
+});
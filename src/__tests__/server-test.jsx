@@ -0,0 +1,129 @@
+/*eslint-env mocha */
+/*global expect */
+import React from 'react';
+import ReactDOM from 'react-dom';
+import config from '../config';
+import { hydrate } from '../ssr';
+import { prefetch, renderToStringWithData, serialize } from '../server';
+import { createDataLoader } from '../createDataLoader';
+
+describe('server', () => {
+  let oldFetch, urls;
+
+  const Orders = createDataLoader(React.createClass({
+    render() {
+      return <li>{this.props.orders.length} orders</li>;
+    }
+  }), {
+    queries: [{
+      name: 'orders',
+      endpoint: 'users/:userId/orders',
+      paramsFromProps: ({userId}) => ({userId})
+    }]
+  });
+
+  const Users = createDataLoader(React.createClass({
+    render() {
+      const {users} = this.props;
+      return <ul>{users.map(user => <Orders key={user.id} userId={user.id} />)}</ul>;
+    }
+  }), {
+    queries: [{
+      name: 'users',
+      endpoint: 'users'
+    }]
+  });
+
+  beforeEach(() => {
+    config.set({ baseUrl: 'http://api.example.com/', access_token: null });
+    oldFetch = window.fetch;
+    urls = [];
+    window.fetch = url => {
+      urls.push(url);
+      const json = url === 'http://api.example.com/users' ?
+        [ { id: 1 }, { id: 2 } ] :
+        [ { id: url.length } ];
+      return Promise.resolve({ ok: true, json: () => json });
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = oldFetch;
+  });
+
+  it('should prefetch nested DataLoaders and render with data', () => {
+    return prefetch(<Users />).then(snapshot => {
+      expect(urls).to.deep.equal([
+        'http://api.example.com/users',
+        'http://api.example.com/users/1/orders',
+        'http://api.example.com/users/2/orders'
+      ]);
+      expect(snapshot).to.have.all.keys('users', 'users/1/orders', 'users/2/orders');
+
+      const html = renderToStringWithData(<Users />, snapshot);
+      expect(html.replace(/<[^>]+>/g, '')).to.equal('1 orders1 orders');
+    });
+  });
+
+  it('should send requests with the options of their queries', () => {
+    const tenant = name => (req, next) => next({ ...req, headers: { ...req.headers, 'X-Tenant': name } });
+    const loaderOf = (endpoint, middleware) => createDataLoader(React.createClass({
+      render() {
+        return <span />;
+      }
+    }), {
+      queries: [ { name: 'data', endpoint, middleware } ]
+    });
+    const Stats = loaderOf('stats', [ tenant('a') ]);
+    const ReportsA = loaderOf('reports', [ tenant('a') ]);
+    const ReportsB = loaderOf('reports', [ tenant('b') ]);
+    const tenants = [];
+    const respond = window.fetch;
+    window.fetch = (url, init) => {
+      tenants.push(init.headers['X-Tenant']);
+      return respond(url);
+    };
+
+    return prefetch(<div><Stats /><ReportsA /><ReportsB /></div>).then(snapshot => {
+      expect(urls).to.deep.equal([ 'http://api.example.com/stats' ]);
+      expect(tenants).to.deep.equal([ 'a' ]);
+      // the snapshot can't keep the responses of both tenants
+      expect(snapshot).to.have.all.keys('stats');
+    });
+  });
+
+  it('should leave failed requests out of the snapshot', () => {
+    const respond = window.fetch;
+    window.fetch = url => url !== 'http://api.example.com/users/2/orders' ? respond(url) : (
+      urls.push(url),
+      Promise.resolve({ ok: false, status: 500, statusText: 'Internal Server Error', json: () => ({}) })
+    );
+
+    return prefetch(<Users />).then(snapshot => {
+      expect(urls).to.have.length(3);
+      expect(snapshot).to.have.all.keys('users', 'users/1/orders');
+    });
+  });
+
+  it('should hydrate DataLoaders on the client without fetching', () => {
+    const snapshot = {
+      'users': [ { id: 1 } ],
+      'users/1/orders': [ { id: 10 }, { id: 11 } ]
+    };
+    hydrate(JSON.parse(serialize(snapshot)));
+
+    const node = document.createElement('div');
+    ReactDOM.render(<Users />, node);
+
+    expect(node.textContent).to.equal('2 orders');
+    ReactDOM.unmountComponentAtNode(node);
+
+    return new Promise(resolve => setTimeout(resolve, 220)).then(() => {
+      expect(urls).to.deep.equal([]);
+    });
+  });
+
+  it('should serialize the snapshot safely', () => {
+    expect(serialize({ a: '</script>' })).to.equal('{"a":"\\u003c/script>"}');
+  });
+});
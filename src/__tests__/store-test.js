@@ -0,0 +1,55 @@
+/*eslint-env mocha */
+/*global expect */
+import store from '../store';
+
+describe('store', () => {
+  beforeEach(() => {
+    store.clear();
+  });
+
+  it('should merge records by model and id', () => {
+    store.merge('users', [ { id: 1, name: 'John' } ]);
+    store.merge('users', [ { id: 1, age: 30 } ]);
+
+    expect(store.get('users', 1)).to.deep.equal({ id: 1, name: 'John', age: 30 });
+    expect(store.get('users', 2)).to.be.undefined;
+  });
+
+  it('should normalize included relations', () => {
+    store.merge('todos', [
+      { id: 1, title: 'a', owner: { id: 5, name: 'John' }, tags: [ { id: 9 } ] }
+    ], { relations: { owner: 'users' } });
+
+    expect(store.get('users', 5)).to.deep.equal({ id: 5, name: 'John' });
+    expect(store.get('tags', 9)).to.deep.equal({ id: 9 });
+
+    store.merge('users', [ { id: 5, name: 'Mary' } ]);
+    expect(store.get('todos', 1)).to.deep.equal({
+      id: 1, title: 'a', owner: { id: 5, name: 'Mary' }, tags: [ { id: 9 } ]
+    });
+  });
+
+  it('should list keys of records and relations', () => {
+    const keys = store.keys('todos', [ { id: 1, owner: { id: 5 } } ], {
+      relations: { owner: 'users' }
+    });
+    expect(keys).to.deep.equal([ 'users:5', 'todos:1' ]);
+  });
+
+  it('should notify listeners only about changed entities', () => {
+    const calls = [];
+    const unsubscribe = store.subscribe(keys => calls.push(keys));
+
+    store.merge('users', [ { id: 1, name: 'John' }, { id: 2, name: 'Mary' } ]);
+    store.merge('users', [ { id: 1, name: 'John' }, { id: 2, name: 'Lucy' } ]);
+    store.remove('users', 1);
+    unsubscribe();
+    store.remove('users', 2);
+
+    expect(calls).to.deep.equal([
+      [ 'users:1', 'users:2' ],
+      [ 'users:2' ],
+      [ 'users:1' ]
+    ]);
+  });
+});
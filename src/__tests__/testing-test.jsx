@@ -0,0 +1,139 @@
+/*eslint-env mocha */
+/*global expect */
+import React from 'react';
+import ReactTestUtils from 'react-addons-test-utils';
+import config from '../config';
+import store from '../store';
+import { request } from '../request';
+import { createDataLoader } from '../createDataLoader';
+import { createMockServer, matchWhere, waitForLoaders } from '../testing';
+
+describe('testing', () => {
+  let server;
+
+  const get = (path, filter) => request(
+    '/' + path + (filter ? '?filter=' + encodeURIComponent(JSON.stringify(filter)) : '')
+  );
+
+  beforeEach(() => {
+    config.set({ baseUrl: '', access_token: null });
+    store.clear();
+    server = createMockServer({
+      fixtures: {
+        users: [
+          { id: 1, name: 'John', age: 30 },
+          { id: 2, name: 'Mary', age: 25 },
+          { id: 3, name: 'Lucy', age: 41 }
+        ],
+        posts: [
+          { id: 1, userId: 1, title: 'a' },
+          { id: 2, userId: 1, title: 'b' },
+          { id: 3, userId: 2, title: 'c' }
+        ]
+      },
+      relations: {
+        users: { posts: { model: 'posts', type: 'hasMany', foreignKey: 'userId' } },
+        posts: { author: { model: 'users', type: 'belongsTo', foreignKey: 'userId' } }
+      }
+    }).install();
+  });
+
+  afterEach(() => {
+    server.restore();
+  });
+
+  it('should match where filters', () => {
+    const record = { name: 'John', age: 30, tags: [ 'a' ] };
+    expect(matchWhere(record, { name: 'John', age: { gte: 30, lt: 40 } })).to.be.true;
+    expect(matchWhere(record, { or: [ { age: { gt: 40 } }, { name: { like: 'Jo%' } } ] })).to.be.true;
+    expect(matchWhere(record, { age: { inq: [ 1, 2 ] } })).to.be.false;
+    expect(matchWhere(record, { tags: 'a', email: { exists: false } })).to.be.true;
+  });
+
+  it('should serve filtered, ordered and paged records', () => {
+    return get('users', { where: { age: { gt: 26 } }, order: 'age DESC', limit: 1, skip: 1 })
+      .then(users => {
+        expect(users).to.deep.equal([ { id: 1, name: 'John', age: 30 } ]);
+        return request('/users/count?where=' + encodeURIComponent('{"age":{"lt":35}}'));
+      })
+      .then(result => expect(result).to.deep.equal({ count: 2 }));
+  });
+
+  it('should include relations', () => {
+    return get('posts/3', { include: { author: 'posts' }, fields: { title: true, author: true } })
+      .then(post => {
+        expect(post).to.deep.equal({
+          title: 'c',
+          author: { id: 2, name: 'Mary', age: 25, posts: [ { id: 3, userId: 2, title: 'c' } ] }
+        });
+      });
+  });
+
+  it('should create, update and delete records', () => {
+    return request('/users', { method: 'POST', body: { name: 'Paul' } })
+      .then(user => {
+        expect(user).to.deep.equal({ id: 4, name: 'Paul' });
+        return request('/users/4', { method: 'PATCH', body: { age: 50 } });
+      })
+      .then(user => {
+        expect(user).to.deep.equal({ id: 4, name: 'Paul', age: 50 });
+        return request('/users/4', { method: 'DELETE' });
+      })
+      .then(result => {
+        expect(result).to.deep.equal({ count: 1 });
+        expect(server.get('users')).to.have.length(3);
+        return get('users/4');
+      })
+      .then(() => { throw new Error('should not resolve'); }, err => {
+        expect(err.status).to.equal(404);
+      });
+  });
+
+  it('should inject errors', () => {
+    server.fail({ method: 'GET', path: 'users', status: 422, message: 'Invalid' });
+
+    return get('users')
+      .then(() => { throw new Error('should not resolve'); }, err => {
+        expect(err.status).to.equal(422);
+        expect(err.details.message).to.equal('Invalid');
+        return get('users');
+      })
+      .then(users => expect(users).to.have.length(3));
+  });
+
+  it('should ignore aborts of requests already responded', () => {
+    const listeners = [];
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1)
+    };
+
+    return server.fetch('/users', { signal }).then(() => {
+      expect(listeners).to.have.length(0);
+      expect(server.pending).to.equal(0);
+      return server.settle();
+    });
+  });
+
+  it('should wait for DataLoader queries to settle', () => {
+    server.latency = 50;
+    const Users = React.createClass({
+      render() {
+        return <div />;
+      }
+    });
+    const Component = createDataLoader(Users, {
+      queries: [ { endpoint: 'users', filter: { order: 'name' } } ]
+    });
+
+    const dataLoader = ReactTestUtils.renderIntoDocument(<Component />);
+
+    return waitForLoaders(dataLoader).then(() => {
+      const { props } = dataLoader.refs.component;
+      expect(props.users_status).to.equal('ok');
+      expect(props.users.map(user => user.name)).to.deep.equal([ 'John', 'Lucy', 'Mary' ]);
+      expect(server.calls).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,388 @@
+import _ from 'lodash';
+import config from './config';
+import { FilterBuilder, toFilter, warnInvalidFilter } from './filter';
+import { invalidate, modelOf } from './registry';
+import { getBaseUrl, request } from './request';
+import { isOffline } from './util';
+
+/**
+ * The path requested by each query type, relative to the endpoint.
+ */
+export const queryPaths = {
+  find: '',
+  findById: '/:id',
+  findOne: '/findOne',
+  count: '/count',
+  exists: '/:id/exists',
+  remote: ''
+};
+
+/**
+ * Replaces the `:name` placeholders of endpoint by the URL-encoded params
+ * values.
+ * @param  {string} endpoint Name of the route
+ * @param  {object} params   Params object
+ * @return {string}          The filled endpoint or false when some
+ *                           placeholder has no value
+ */
+export function fillEndpoint(endpoint, params) {
+  let missing = false;
+  const filled = endpoint.replace(/:(\w+)/g, (match, key) => {
+    const value = params[key];
+    if (value === undefined || value === null) {
+      missing = true;
+      return match;
+    }
+    return encodeURIComponent(value);
+  });
+  return missing ? false : filled;
+}
+
+/**
+ * Whether the endpoint is a relation route, like `users/:userId/orders`.
+ * @param  {string}  endpoint Name of the route
+ * @return {boolean}
+ */
+export function isRelationRoute(endpoint) {
+  return _.some(endpoint.split('/'), part => /^(\d+|:\w+)$/.test(part));
+}
+
+/**
+ * Gets the verb that updates some attributes of a record: PATCH, or PUT on
+ * relation routes, as LoopBack has no PATCH on them.
+ * @param  {string} endpoint Name of the route
+ * @return {string}          The HTTP verb
+ */
+export function updateVerb(endpoint) {
+  return isRelationRoute(endpoint) ? 'PUT' : 'PATCH';
+}
+
+/**
+ * Given the endpoint and its filter, this will build the full URL to query
+ * Loopback. In development mode, invalid filters are reported on the console
+ * (see `validateFilter`).
+ * @param  {string} endpoint Name of the route
+ * @param  {object} filter   Filter object or builder
+ * @param  {object} params   Params used to fill endpoint placeholders
+ * @param  {Config} client   The client (defaults to global config)
+ * @return {string}          Loopback URL
+ */
+export function buildUrl(endpoint, filter, params = {}, client = config) {
+  let url = getBaseUrl(client) + fillEndpoint(endpoint, params);
+  filter = toFilter(filter);
+  if (filter) {
+    warnInvalidFilter(filter, endpoint);
+    url += '?filter=' + encodeURIComponent(JSON.stringify(filter));
+  }
+  return url;
+}
+
+/**
+ * Builds the URL of `{endpoint}/count`.
+ * @param  {string} endpoint Name of the route
+ * @param  {object} where    Where filter
+ * @param  {object} params   Params used to fill endpoint placeholders
+ * @param  {Config} client   The client (defaults to global config)
+ * @return {string}          Loopback URL
+ */
+export function buildCountUrl(endpoint, where, params = {}, client = config) {
+  let url = buildUrl(endpoint + '/count', null, params, client);
+  if (where) {
+    warnInvalidFilter({ where }, endpoint + '/count');
+    url += '?where=' + encodeURIComponent(JSON.stringify(where));
+  }
+  return url;
+}
+
+/**
+ * Builds the URL of the model's change stream. As EventSource can't send
+ * headers, the access token is sent on the URL.
+ * @param  {string} model  The model name
+ * @param  {object} params Params used to fill endpoint placeholders
+ * @param  {Config} client The client (defaults to global config)
+ * @return {string}        Loopback URL
+ */
+export function buildChangeStreamUrl(model, params = {}, client = config) {
+  let url = buildUrl(model + '/change-stream', null, params, client);
+  url += '?_format=event-stream';
+  const token = client.get('access_token');
+  if (token) {
+    url += '&access_token=' + encodeURIComponent(token);
+  }
+  return url;
+}
+
+/**
+ * Builds the query string of a remote method's arguments. Values that are not
+ * strings are JSON encoded.
+ * @param  {object} args The arguments
+ * @return {string}      The query string, starting with '?', or ''
+ */
+export function buildQueryString(args) {
+  const query = _.map(_.omit(args, _.isUndefined), (value, key) => (
+    encodeURIComponent(key) + '=' +
+      encodeURIComponent(typeof value === 'string' ? value : JSON.stringify(value))
+  ));
+  return query.length ? '?' + query.join('&') : '';
+}
+
+/**
+ * Builds the request of a query. Accepts the following options:
+ *
+ * ```
+ * {
+ *   filter: {},    // The filter object or builder. 'count' queries only use
+ *                  // its where
+ *   params: {},    // Used to fill endpoint placeholders. 'findById' and
+ *                  // 'exists' queries use the `id` param
+ *   verb: 'get',   // (Only for 'remote') The HTTP verb
+ *   args: {},      // (Only for 'remote') Arguments sent on the query string
+ *   body: {},      // (Only for 'remote') The JSON body of other verbs than 'get'
+ *   client: config // The client
+ * }
+ * ```
+ *
+ * @param  {string} type     One of 'find', 'findById', 'findOne', 'count',
+ *                           'exists' or 'remote'
+ * @param  {string} endpoint Name of the route
+ * @param  {object} options  Options object
+ * @return {object}          The `method`, `url` and `body`, or null when
+ *                           some placeholder has no value
+ */
+export function prepareQuery(type, endpoint, { filter, params = {}, verb = 'get', args, body, client = config } = {}) {
+  filter = toFilter(filter);
+  const path = endpoint + queryPaths[type];
+  if (fillEndpoint(path, params) === false) {
+    return null;
+  }
+
+  if (type === 'remote') {
+    const method = verb.toUpperCase();
+    const url = buildUrl(path, null, params, client) + buildQueryString(args);
+    return { method, url, body: method === 'GET' ? undefined : body };
+  }
+
+  const url = type === 'count' ?
+    buildCountUrl(endpoint, filter && filter.where, params, client) :
+    buildUrl(path, type === 'exists' ? null : filter, params, client);
+  return { method: 'GET', url };
+}
+
+/**
+ * Builds the object that describes an error: `status` (the HTTP status
+ * code), `name`, `message` and `details` (as sent by LoopBack, like
+ * ValidationError's `details.messages`).
+ * @param  {Error}  err The error of a request
+ * @return {object}     The error description
+ */
+export function describeError(err) {
+  const details = err.details || {};
+  return {
+    status: err.status || details.statusCode || null,
+    name: details.name || err.name,
+    message: details.message || err.message,
+    details: details.details || null
+  };
+}
+
+/**
+ * Makes every error of a request have `status` (null when no response was
+ * received, like on network errors and aborts), `code` (as sent by LoopBack,
+ * or null) and `details` (the error sent by LoopBack, or null).
+ * @param  {Error} err The error
+ * @return {Error}     The same error
+ */
+export function normalizeError(err) {
+  err.status = err.status || null;
+  err.details = err.details || null;
+  err.code = err.details && err.details.code || null;
+  return err;
+}
+
+/**
+ * Sends a request built by `prepareQuery`. Besides the `client`, accepts the
+ * `signal`, `middleware`, `retry` and `timeout` options of `request`.
+ * @param  {object}  req     The request
+ * @param  {object}  options Options object
+ * @return {Promise}         Resolves with the parsed response
+ */
+export function send(req, { client = config, signal, middleware, retry, timeout } = {}) {
+  if (!req) {
+    return Promise.reject(new Error('Missing params of endpoint'));
+  }
+  return request(req.url, { method: req.method, body: req.body, client, signal, middleware, retry, timeout })
+    .catch(err => {
+      throw normalizeError(err);
+    });
+}
+
+function query(type, endpoint, options = {}) {
+  return send(prepareQuery(type, endpoint, options), options);
+}
+
+/**
+ * Finds the records of an endpoint. The options are the `params`, to fill
+ * endpoint placeholders, the `client` (defaults to global config), and the
+ * `signal`, `middleware`, `retry` and `timeout` options of `request`. All functions of this
+ * module accept them, and reject with errors normalized by `normalizeError`.
+ * @param  {string}  endpoint Name of the route
+ * @param  {object}  filter   Filter object
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the array of records
+ */
+export function find(endpoint, filter, options = {}) {
+  return query('find', endpoint, { ...options, filter });
+}
+
+/**
+ * Finds a record by id.
+ * @param  {string}  endpoint Name of the route
+ * @param  {any}     id       The record id
+ * @param  {object}  filter   Filter object, like `{include: 'posts'}`
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the record
+ */
+export function findById(endpoint, id, filter, options = {}) {
+  return query('findById', endpoint, { ...options, filter, params: { ...options.params, id } });
+}
+
+/**
+ * Finds the first record that matches the filter.
+ * @param  {string}  endpoint Name of the route
+ * @param  {object}  filter   Filter object
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the record
+ */
+export function findOne(endpoint, filter, options = {}) {
+  return query('findOne', endpoint, { ...options, filter });
+}
+
+/**
+ * Counts the records that match the where filter.
+ * @param  {string}  endpoint Name of the route
+ * @param  {object}  where    Where filter, or a filter builder
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the number of records
+ */
+export function count(endpoint, where, options = {}) {
+  const filter = where instanceof FilterBuilder ? where : { where };
+  return query('count', endpoint, { ...options, filter }).then(json => json.count);
+}
+
+/**
+ * Checks whether a record exists.
+ * @param  {string}  endpoint Name of the route
+ * @param  {any}     id       The record id
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with a boolean
+ */
+export function exists(endpoint, id, options = {}) {
+  return query('exists', endpoint, { ...options, params: { ...options.params, id } })
+    .then(json => json.exists);
+}
+
+/**
+ * Calls a custom remote method.
+ * @param  {string}  endpoint Name of the route, like `users/:id/greet`
+ * @param  {object}  method   The `verb` (defaults to 'get'), the `args` sent
+ *                            on the query string and the JSON `body`
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the parsed response
+ */
+export function remote(endpoint, { verb, args, body } = {}, options = {}) {
+  return query('remote', endpoint, { ...options, verb, args, body });
+}
+
+/**
+ * Sends a write request to `{endpoint}` or, when an id is given, to
+ * `{endpoint}/{id}`. When it succeeds, the model of the endpoint is
+ * invalidated, loading again its mounted queries. When the client has an
+ * `offlineQueue` (see `createOfflineQueue`), writes made while offline, or
+ * that fail with a network error, are queued.
+ * @param  {string}  method   The HTTP verb
+ * @param  {string}  endpoint Name of the route
+ * @param  {any}     id       The record id, or null
+ * @param  {object}  body     The JSON body
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the parsed response
+ */
+export function write(method, endpoint, id, body, options = {}) {
+  const { params = {}, client = config } = options;
+  if (fillEndpoint(endpoint, params) === false) {
+    return Promise.reject(new Error('Missing params of endpoint ' + endpoint));
+  }
+  // LoopBack has no upsert on relation routes
+  if (method === 'PUT' && (id === null || id === undefined) && isRelationRoute(endpoint)) {
+    return Promise.reject(new Error('Upsert is not supported on relation route ' + endpoint));
+  }
+
+  let path = endpoint;
+  if (id !== null && id !== undefined) {
+    path += '/' + encodeURIComponent(id);
+  }
+  const req = { method, url: buildUrl(path, null, params, client), body };
+  const queue = client.get('offlineQueue');
+  if (queue && isOffline()) {
+    return queue.enqueue(endpoint, req);
+  }
+
+  return send(req, options).then(
+    json => {
+      invalidate(modelOf(endpoint), client);
+      return json;
+    },
+    err => {
+      if (queue && err.status === null && !_.includes([ 'AbortError', 'TimeoutError' ], err.name)) {
+        return queue.enqueue(endpoint, req);
+      }
+      throw err;
+    }
+  );
+}
+
+/**
+ * Creates a record with a POST request.
+ * @param  {string}  endpoint Name of the route
+ * @param  {object}  data     The record
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the created record
+ */
+export function create(endpoint, data, options = {}) {
+  return write('POST', endpoint, null, data, options);
+}
+
+/**
+ * Updates some attributes of a record with a PATCH request (PUT on relation
+ * routes).
+ * @param  {string}  endpoint Name of the route
+ * @param  {any}     id       The record id
+ * @param  {object}  patch    The changed attributes
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the updated record
+ */
+export function update(endpoint, id, patch, options = {}) {
+  return write(updateVerb(endpoint), endpoint, id, patch, options);
+}
+
+/**
+ * Creates or replaces a record with a PUT request. Rejects on relation
+ * routes, where LoopBack has no upsert.
+ * @param  {string}  endpoint Name of the route
+ * @param  {object}  data     The record
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the record
+ */
+export function upsert(endpoint, data, options = {}) {
+  return write('PUT', endpoint, null, data, options);
+}
+
+/**
+ * Deletes a record with a DELETE request.
+ * @param  {string}  endpoint Name of the route
+ * @param  {any}     id       The record id
+ * @param  {object}  options  Options object
+ * @return {Promise}          Resolves with the response of LoopBack
+ */
+export function destroy(endpoint, id, options = {}) {
+  return write('DELETE', endpoint, id, null, options);
+}
@@ -0,0 +1,189 @@
+import config from './config';
+import cache from './cache';
+import EventEmitter from './events';
+import { events as requestEvents, getBaseUrl, request } from './request';
+
+const STORAGE_KEY = 'react-loopback:auth';
+
+function getStorage(persist) {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  if (persist === 'local') {
+    return window.localStorage;
+  }
+  if (persist === 'session') {
+    return window.sessionStorage;
+  }
+  return null;
+}
+
+function isExpired({ created, ttl }) {
+  if (!ttl || ttl < 0) {
+    return false;
+  }
+  return new Date(created).getTime() + ttl * 1000 < Date.now();
+}
+
+/**
+ * Manages the authentication with LoopBack's user model. The access token is
+ * kept on `access_token` key of the client (the global config, unless another
+ * one is given to the constructor), so it is sent on the Authorization header
+ * of all further requests.
+ *
+ * Events:
+ *
+ * - `login` → When login succeeds. Receives the access token object
+ * - `logout` → When the session is finished
+ * - `unauthorized` → When any request of the client is responded with 401
+ *   status
+ */
+export class Auth extends EventEmitter {
+  constructor(client = config) {
+    super();
+    this._client = client;
+    this._token = null;
+    this._user = null;
+    this._model = 'Users';
+    this._persist = false;
+
+    requestEvents.on('unauthorized', info => {
+      if (info.client === client) {
+        this.emit('unauthorized', info);
+      }
+    });
+  }
+
+  /**
+   * Logs in by sending the credentials to `{model}/login`. Accepts the
+   * following options:
+   *
+   * ```
+   * {
+   *   model: 'Users',  // The name of user model endpoint
+   *
+   *   persist: false   // When 'local' or 'session', the access token is saved
+   *                    // on localStorage or sessionStorage, and can be
+   *                    // recovered by `restore` method until it expires
+   * }
+   * ```
+   *
+   * @param  {object}  credentials The credentials, like `{email, password}`
+   * @param  {object}  options     Options object
+   * @return {Promise}             Resolves with the access token object
+   */
+  login(credentials, { model = 'Users', persist = false } = {}) {
+    const url = getBaseUrl(this._client) + model + '/login?include=user';
+
+    return request(url, { method: 'POST', body: credentials, client: this._client })
+      .then(token => {
+        const { user = null } = token;
+        delete token.user;
+        this._setSession({ token, user, model, persist });
+        this.emit('login', token);
+        return token;
+      });
+  }
+
+  /**
+   * Logs out by sending a request to `{model}/logout`. The local session is
+   * finished even if the request fails.
+   * @return {Promise} Resolves when the request finishes
+   */
+  logout() {
+    if (!this._token) {
+      return Promise.resolve();
+    }
+    const url = getBaseUrl(this._client) + this._model + '/logout';
+    const finish = () => {
+      this._clearSession();
+      this.emit('logout');
+    };
+
+    return request(url, { method: 'POST', client: this._client })
+      .then(finish, err => {
+        finish();
+        throw err;
+      });
+  }
+
+  /**
+   * Gets the logged in user, fetching it from `{model}/{userId}` when needed.
+   * @return {Promise} Resolves with the user or null when not logged in
+   */
+  currentUser() {
+    if (!this._token || this._user) {
+      return Promise.resolve(this._user);
+    }
+    const url = getBaseUrl(this._client) + this._model + '/' + encodeURIComponent(this._token.userId);
+
+    return request(url, { client: this._client }).then(user => {
+      this._user = user;
+      this._save();
+      return user;
+    });
+  }
+
+  /**
+   * Gets the current access token object.
+   * @return {object} The access token or null when not logged in
+   */
+  getToken() {
+    return this._token;
+  }
+
+  /**
+   * Recovers the session persisted by `login`, unless its token has expired.
+   * @param  {string}  persist Where the session was saved: 'local' or 'session'
+   * @return {boolean}         Whether a session was recovered
+   */
+  restore(persist = 'local') {
+    const storage = getStorage(persist);
+    const saved = storage && storage.getItem(STORAGE_KEY);
+    if (!saved) {
+      return false;
+    }
+
+    const session = JSON.parse(saved);
+    if (isExpired(session.token)) {
+      storage.removeItem(STORAGE_KEY);
+      this._client.emit('tokenExpired', { token: session.token });
+      return false;
+    }
+
+    this._setSession({ ...session, persist });
+    return true;
+  }
+
+  _setSession({ token, user, model, persist }) {
+    this._token = token;
+    this._user = user;
+    this._model = model;
+    this._persist = persist;
+    this._client.set('access_token', token.id);
+    this._save();
+  }
+
+  _clearSession() {
+    const storage = getStorage(this._persist);
+    if (storage) {
+      storage.removeItem(STORAGE_KEY);
+    }
+    this._token = null;
+    this._user = null;
+    this._persist = false;
+    this._client.set('access_token', null);
+    // responses of the finished session must not be seen by the next user
+    cache.clear();
+  }
+
+  _save() {
+    const storage = getStorage(this._persist);
+    if (storage) {
+      const { _token: token, _user: user, _model: model } = this;
+      storage.setItem(STORAGE_KEY, JSON.stringify({ token, user, model }));
+    }
+  }
+}
+
+export default new Auth();
@@ -0,0 +1,91 @@
+import _ from 'lodash';
+import config from './config';
+import { request } from './request';
+
+// pending lookups, by client, model URL, id field, filter and middleware
+let batches = [];
+
+/**
+ * Finds a record by id, combining the lookups made on the same model URL
+ * during a short window (`batchWindow` key of client, defaults to 10
+ * milliseconds) into a single `where: {id: {inq: [...]}}` request. Only
+ * lookups with the same `filter` and `middleware` are combined. Accepts the
+ * following options:
+ *
+ * ```
+ * {
+ *   id: 'id',       // The name of id field of the records
+ *   filter: {},     // The `include` and `fields` of the lookup. The id
+ *                   // field is always requested
+ *   middleware: [], // Extra request middleware
+ *   client: config  // The client that sends the request
+ * }
+ * ```
+ *
+ * @param  {string}  url     The model URL, like `http://host/api/users`
+ * @param  {any}     id      The id of the record
+ * @param  {object}  options Options object
+ * @return {Promise}         Resolves with the record. Rejects with a 404 error
+ *                           when it is not found
+ */
+export function findByIdBatched(url, id, { id: idField = 'id', filter, middleware = [], client = config } = {}) {
+  const scope = batchScope(filter, idField);
+  const scopeKey = JSON.stringify(scope);
+  let batch = _.find(batches, candidate => (
+    candidate.url === url &&
+    candidate.idField === idField &&
+    candidate.client === client &&
+    candidate.scopeKey === scopeKey &&
+    _.isEqual(candidate.middleware, middleware)
+  ));
+  if (!batch) {
+    batch = { url, idField, client, scope, scopeKey, middleware, lookups: [] };
+    batches = batches.concat([ batch ]);
+    setTimeout(() => {
+      batches = _.without(batches, batch);
+      sendBatch(batch);
+    }, client.get('batchWindow') || 10);
+  }
+
+  return new Promise((resolve, reject) => {
+    batch.lookups.push({ id, resolve, reject });
+  });
+}
+
+// the include and fields of a lookup, with the id field among the fields, as
+// records are matched to lookups by id
+function batchScope(filter, idField) {
+  const scope = _.pick(filter, 'include', 'fields');
+  const { fields } = scope;
+  if (_.isArray(fields)) {
+    scope.fields = _.union(fields, [ idField ]);
+  } else if (_.some(fields)) {
+    scope.fields = _.assign({}, fields, { [idField]: true });
+  } else if (fields) {
+    scope.fields = _.omit(fields, idField);
+  }
+  return scope;
+}
+
+function sendBatch({ url, idField, client, scope, middleware, lookups }) {
+  const ids = _.uniq(_.pluck(lookups, 'id'));
+  const filter = { where: { [idField]: { inq: ids } }, ...scope };
+  const batchUrl = url + '?filter=' + encodeURIComponent(JSON.stringify(filter));
+
+  request(batchUrl, { middleware, client }).then(records => {
+    const byId = _.indexBy(records, record => String(record[idField]));
+    lookups.forEach(({ id, resolve, reject }) => {
+      const record = byId[String(id)];
+      if (record) {
+        resolve(record);
+      } else {
+        const error = new Error('Not Found');
+        error.status = 404;
+        error.details = null;
+        reject(error);
+      }
+    });
+  }, err => {
+    lookups.forEach(({ reject }) => reject(err));
+  });
+}
@@ -0,0 +1,203 @@
+import _ from 'lodash';
+
+/**
+ * Keeps the responses of query requests by URL, so DataLoaders with a
+ * `cachePolicy` can render them right away. Entries are kept in memory, and
+ * also saved by a persistent adapter when one is given to `persist`.
+ */
+export class Cache {
+  constructor() {
+    this._entries = {};
+    this._adapter = null;
+  }
+
+  /**
+   * Gets an entry, unless it is older than `maxAge`. Expired entries are
+   * removed.
+   * @param  {string} key    The request URL
+   * @param  {number} maxAge Maximum age in milliseconds
+   * @return {object}        The `{data, updatedAt, tags}` entry, with
+   *                         `stale: true` when it was invalidated, or
+   *                         undefined
+   */
+  get(key, maxAge = Infinity) {
+    const entry = this._entries[key];
+    if (entry && Date.now() - entry.updatedAt > maxAge) {
+      this.remove(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Stores the response of a request.
+   * @param  {string} key  The request URL
+   * @param  {any}    data The parsed response
+   * @param  {array}  tags The model and tags of the query, used by
+   *                       `invalidate`
+   */
+  set(key, data, tags = []) {
+    const entry = { data, updatedAt: Date.now(), tags };
+    this._entries[key] = entry;
+    if (this._adapter) {
+      this._adapter.save(key, entry);
+    }
+  }
+
+  /**
+   * Removes an entry.
+   * @param  {string} key The request URL
+   */
+  remove(key) {
+    delete this._entries[key];
+    if (this._adapter) {
+      this._adapter.remove(key);
+    }
+  }
+
+  /**
+   * Marks as stale the entries that have the given model or tag, so they are
+   * loaded again even when fresh.
+   * @param  {string} tag    The model name or tag
+   * @param  {string} prefix (Optional) Only entries whose URL starts with it
+   *                         are marked
+   */
+  invalidate(tag, prefix = '') {
+    _.forEach(this._entries, (entry, key) => {
+      if (_.includes(entry.tags, tag) && !entry.stale && key.indexOf(prefix) === 0) {
+        this._entries[key] = { ...entry, stale: true };
+        if (this._adapter) {
+          this._adapter.save(key, this._entries[key]);
+        }
+      }
+    });
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this._entries = {};
+    if (this._adapter) {
+      this._adapter.clear();
+    }
+  }
+
+  /**
+   * Saves the entries with a persistent adapter, like the ones created by
+   * `localStorageAdapter` and `indexedDBAdapter`, and loads the entries it
+   * saved before. An adapter has the `load`, `save(key, entry)`,
+   * `remove(key)` and `clear` methods, and `load` returns a promise of the
+   * entries object.
+   * @param  {object}  adapter The adapter
+   * @return {Promise}         Resolves when the saved entries are loaded
+   */
+  persist(adapter) {
+    this._adapter = adapter;
+    return adapter.load().then(entries => {
+      _.forEach(entries, (entry, key) => {
+        const current = this._entries[key];
+        if (!current || current.updatedAt < entry.updatedAt) {
+          this._entries[key] = entry;
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Creates a cache adapter that saves all entries as a single JSON value on
+ * localStorage.
+ * @param  {object} options The storage `key` (defaults to
+ *                          'react-loopback:cache')
+ * @return {object}         The adapter
+ */
+export function localStorageAdapter({ key = 'react-loopback:cache' } = {}) {
+  const read = () => {
+    try {
+      return JSON.parse(window.localStorage.getItem(key)) || {};
+    } catch (err) {
+      return {};
+    }
+  };
+  const write = entries => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(entries));
+    } catch (err) {
+      // storage is full or disabled, so the entries are only kept in memory
+    }
+  };
+
+  return {
+    load: () => Promise.resolve(read()),
+    save: (entryKey, entry) => write({ ...read(), [entryKey]: entry }),
+    remove: entryKey => write(_.omit(read(), entryKey)),
+    clear: () => window.localStorage.removeItem(key)
+  };
+}
+
+/**
+ * Creates a cache adapter that saves the entries on an IndexedDB object
+ * store. When IndexedDB is not supported, nothing is saved.
+ * @param  {object} options The database `name` (defaults to
+ *                          'react-loopback') and `storeName` (defaults to
+ *                          'cache')
+ * @return {object}         The adapter
+ */
+export function indexedDBAdapter({ name = 'react-loopback', storeName = 'cache' } = {}) {
+  const indexedDB = typeof window !== 'undefined' && window.indexedDB;
+  let opening = null;
+
+  const open = () => {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const req = indexedDB.open(name, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return opening;
+  };
+  const transaction = (mode, fn) => open().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+  }));
+  const ignore = () => {};
+
+  if (!indexedDB) {
+    return {
+      load: () => Promise.resolve({}),
+      save: ignore,
+      remove: ignore,
+      clear: ignore
+    };
+  }
+
+  return {
+    load: () => transaction('readonly', objectStore => {
+      const entries = {};
+      objectStore.openCursor().onsuccess = event => {
+        const cursor = event.target.result;
+        if (cursor) {
+          entries[cursor.key] = cursor.value;
+          cursor.continue();
+        }
+      };
+      return entries;
+    }).catch(() => ({})),
+    save: (key, entry) => transaction('readwrite', objectStore => {
+      objectStore.put(entry, key);
+    }).catch(ignore),
+    remove: key => transaction('readwrite', objectStore => {
+      objectStore.delete(key);
+    }).catch(ignore),
+    clear: () => transaction('readwrite', objectStore => {
+      objectStore.clear();
+    }).catch(ignore)
+  };
+}
+
+export default new Cache();
@@ -0,0 +1,52 @@
+/**
+ * Opens a connection to a LoopBack change stream (`{model}/change-stream`),
+ * which reports the changes of a model as server-sent events. When the
+ * connection fails, it is opened again after a delay that doubles on each
+ * failed attempt.
+ * @param  {string}   url      The change stream URL
+ * @param  {function} onChange Called with each change object, like
+ *                             `{type: 'update', target: 1, data: {...}}`
+ * @param  {object}   options  The `minDelay` and `maxDelay` (in milliseconds)
+ *                             between reconnection attempts
+ * @return {object}            An object with a `close` method, or null when
+ *                             EventSource is not available
+ */
+export function openChangeStream(url, onChange, { minDelay = 1000, maxDelay = 30000 } = {}) {
+  if (typeof window === 'undefined' || !window.EventSource) {
+    return null;
+  }
+
+  let source;
+  let timer;
+  let attempt = 0;
+  let closed = false;
+
+  function connect() {
+    source = new window.EventSource(url);
+    source.addEventListener('open', () => {
+      attempt = 0;
+    });
+    source.addEventListener('data', event => {
+      onChange(JSON.parse(event.data));
+    });
+    source.addEventListener('error', () => {
+      source.close();
+      if (closed) {
+        return;
+      }
+      const delay = Math.min(maxDelay, minDelay * Math.pow(2, attempt));
+      attempt += 1;
+      timer = setTimeout(connect, delay);
+    });
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      source.close();
+    }
+  };
+}
@@ -0,0 +1,75 @@
+import { Config } from './config';
+import * as api from './api';
+
+/**
+ * An API client: the settings and middleware of `Config`, and Promise-based
+ * methods to query and change records, usable outside React. The methods are
+ * the functions of `api` module, sending requests with this client.
+ */
+export class Client extends Config {
+  find(endpoint, filter, options = {}) {
+    return api.find(endpoint, filter, { ...options, client: this });
+  }
+
+  findById(endpoint, id, filter, options = {}) {
+    return api.findById(endpoint, id, filter, { ...options, client: this });
+  }
+
+  findOne(endpoint, filter, options = {}) {
+    return api.findOne(endpoint, filter, { ...options, client: this });
+  }
+
+  count(endpoint, where, options = {}) {
+    return api.count(endpoint, where, { ...options, client: this });
+  }
+
+  exists(endpoint, id, options = {}) {
+    return api.exists(endpoint, id, { ...options, client: this });
+  }
+
+  remote(endpoint, method, options = {}) {
+    return api.remote(endpoint, method, { ...options, client: this });
+  }
+
+  create(endpoint, data, options = {}) {
+    return api.create(endpoint, data, { ...options, client: this });
+  }
+
+  update(endpoint, id, patch, options = {}) {
+    return api.update(endpoint, id, patch, { ...options, client: this });
+  }
+
+  upsert(endpoint, data, options = {}) {
+    return api.upsert(endpoint, data, { ...options, client: this });
+  }
+
+  destroy(endpoint, id, options = {}) {
+    return api.destroy(endpoint, id, { ...options, client: this });
+  }
+}
+
+/**
+ * Creates an API client, with its own settings and middleware. It can be
+ * passed to `createDataLoader` as `client` option, or to the DataLoaders of a
+ * tree through `ClientProvider`. The global `config` is the default client.
+ *
+ * ```javascript
+ * const client = createClient({
+ *   baseUrl: 'http://localhost:3000/api/',
+ *   accessToken: 'abc123'
+ * });
+ * client.find('users', {where: {active: true}}).then(users => ...);
+ * ```
+ *
+ * @param  {object} settings Config keys. `accessToken` is stored as
+ *                           `access_token`
+ * @return {Client}          The client
+ */
+export function createClient({ accessToken, ...settings } = {}) {
+  const client = new Client();
+  client.set(settings);
+  if (accessToken) {
+    client.set('access_token', accessToken);
+  }
+  return client;
+}
@@ -0,0 +1,196 @@
+import _ from 'lodash';
+import inflection from 'inflection';
+
+// relation types whose route responds with an array
+const manyRelations = [ 'hasMany', 'hasAndBelongsToMany', 'referencesMany', 'embedsMany' ];
+
+/**
+ * Pluralizes a model name like LoopBack does for its default REST paths,
+ * with the same `inflection` package.
+ * @param  {string} name The model name, like `Person`
+ * @return {string}      The plural, like `People`
+ */
+export function pluralize(name) {
+  return inflection.pluralize(name);
+}
+
+/**
+ * Reads LoopBack model definitions, the contents of `common/models/*.json`,
+ * into model descriptions: the model `name`, its `endpoint` (from
+ * `http.path`, `plural` or the pluralized name), the `id` property and its
+ * `relations` (each with `name`, target `model` and `many`).
+ * @param  {array} definitions The parsed model JSON files
+ * @return {array}             The model descriptions
+ */
+export function readModels(definitions) {
+  return definitions.map(definition => {
+    const http = definition.http || {};
+    const endpoint = (http.path || definition.plural || pluralize(definition.name)).replace(/^\//, '');
+    const id = _.findKey(definition.properties, property => property && property.id) || 'id';
+    const relations = _.map(definition.relations, (relation, name) => ({
+      name,
+      model: relation.model,
+      many: _.includes(manyRelations, relation.type)
+    }));
+    return { name: definition.name, endpoint, id, relations };
+  });
+}
+
+/**
+ * Reads a Swagger 2.0 or OpenAPI 3 document, as saved from LoopBack API
+ * explorer, into model descriptions (see `readModels`). Models are found by
+ * their `{Model}.find` operations, and relations by their
+ * `{Model}.prototype.__get__{relation}` operations. Relations whose response
+ * schema doesn't reference a model definition, like inline objects, are
+ * skipped. As the documents don't tell the id property, it is 'id'.
+ * @param  {object} doc The parsed document
+ * @return {array}      The model descriptions
+ */
+export function readSwagger(doc) {
+  const operations = _.flatten(_.map(doc.paths, (methods, path) => (
+    methods.get && methods.get.operationId ? [ { path, operation: methods.get } ] : []
+  )));
+
+  const schemaOf = operation => {
+    const response = operation.responses && operation.responses['200'] || {};
+    const content = response.content && response.content['application/json'];
+    return (content ? content.schema : response.schema) || {};
+  };
+  const refName = schema => schema && schema.$ref ? _.last(schema.$ref.split('/')) : null;
+
+  const models = {};
+  operations.forEach(({ path, operation }) => {
+    const match = operation.operationId.match(/^(\w+)\.find$/);
+    if (match) {
+      models[match[1]] = { name: match[1], endpoint: path.replace(/^\//, ''), id: 'id', relations: [] };
+    }
+  });
+
+  operations.forEach(({ operation }) => {
+    const match = operation.operationId.match(/^(\w+)\.prototype\.__get__(\w+)$/);
+    if (!match || !models[match[1]]) {
+      return;
+    }
+    const schema = schemaOf(operation);
+    const model = refName(schema.type === 'array' ? schema.items : schema);
+    if (!model) {
+      return;
+    }
+    models[match[1]].relations.push({ name: match[2], model, many: schema.type === 'array' });
+  });
+
+  return _.values(models);
+}
+
+function camelCase(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+// serializes an options object as a JavaScript literal
+function literal(value) {
+  if (_.isPlainObject(value)) {
+    const pairs = _.map(value, (item, key) => (
+      (/^[a-z_$][\w$]*$/i.test(key) ? key : '\'' + key + '\'') + ': ' + literal(item)
+    ));
+    return pairs.length ? '{ ' + pairs.join(', ') + ' }' : '{}';
+  }
+  if (typeof value === 'string') {
+    return '\'' + value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+  }
+  return String(value);
+}
+
+/**
+ * Builds the options of the queries of each model, as generated by
+ * `generateQueries`: `find`, `findById` and `count`, and one query for each
+ * relation, on `{endpoint}/:id/{relation}`. Relations that respond with a
+ * single record are 'remote' queries.
+ * @param  {array}  models The model descriptions
+ * @return {object}        Maps model names to objects that map query names
+ *                         to query options
+ */
+export function buildQueries(models) {
+  const byName = _.indexBy(models, 'name');
+  const endpointOf = name => byName[name] ? byName[name].endpoint : pluralize(name);
+  const relationsOf = model => _(model.relations)
+    .indexBy('name')
+    .mapValues(relation => endpointOf(relation.model))
+    .value();
+
+  return _(models)
+    .indexBy('name')
+    .mapValues(model => {
+      const { endpoint, id } = model;
+      const plural = camelCase(endpoint.replace(/\W+/g, ''));
+      const queries = {
+        find: { name: plural, endpoint, id, relations: relationsOf(model) },
+        findById: { name: camelCase(model.name), type: 'findById', endpoint, id, relations: relationsOf(model) },
+        count: { name: plural + 'Count', type: 'count', endpoint }
+      };
+
+      model.relations.forEach(relation => {
+        if (queries[relation.name]) {
+          throw new Error('Relation ' + model.name + '.' + relation.name + ' clashes with a query name');
+        }
+        const target = byName[relation.model];
+        const route = endpoint + '/:id/' + relation.name;
+        queries[relation.name] = relation.many ? {
+          name: relation.name,
+          endpoint: route,
+          model: endpointOf(relation.model),
+          id: target ? target.id : 'id',
+          relations: target ? relationsOf(target) : {}
+        } : {
+          name: relation.name,
+          type: 'remote',
+          endpoint: route,
+          model: endpointOf(relation.model)
+        };
+      });
+      return queries;
+    })
+    .value();
+}
+
+/**
+ * Generates the source of a module that exports, for each model, an object
+ * of query factories. Each factory receives options, like `params` or
+ * `filter`, and returns query options for `createDataLoader`:
+ *
+ * ```javascript
+ * import { Todo } from './queries';
+ *
+ * createDataLoader(TodoList, {
+ *   queries: [ Todo.find({ filter: { where: { done: false } } }) ]
+ * });
+ * ```
+ *
+ * @param  {array}  models The model descriptions, from `readModels` or
+ *                         `readSwagger`
+ * @return {string}        The module source
+ */
+export function generateQueries(models) {
+  const queries = buildQueries(models);
+  const lines = [
+    '// Generated by react-loopback-codegen. Do not edit.',
+    '',
+    'function query(defaults, options) {',
+    '  var result = {};',
+    '  var key;',
+    '  for (key in defaults) result[key] = defaults[key];',
+    '  for (key in options) result[key] = options[key];',
+    '  return result;',
+    '}'
+  ];
+
+  _.sortBy(_.keys(queries)).forEach(name => {
+    const factories = _.map(queries[name], (options, factory) => (
+      '  ' + factory + ': function (options) {\n' +
+      '    return query(' + literal(options) + ', options);\n' +
+      '  }'
+    ));
+    lines.push('', 'export const ' + name + ' = {', factories.join(',\n\n'), '};');
+  });
+
+  return lines.join('\n') + '\n';
+}
@@ -1,11 +1,30 @@
 import _ from 'lodash';
+import EventEmitter from './events';
+import { accessToken, checkStatus } from './middleware';
+import store, { Store } from './store';
 
 /**
- * Basic class to store key/value configuration
+ * Basic class to store key/value configuration. Each instance is an API
+ * client: it holds the settings and middleware used by its requests.
+ *
+ * Events:
+ *
+ * - `request` → When a request starts. Receives the request
+ * - `success` → When a request succeeds. Receives `{request, response}`
+ * - `error` → When a request fails, except by being aborted. Receives
+ *   `{request, error}`
+ * - `tokenExpired` → When LoopBack rejects the access token with 401 status
+ *   (receives `{url, method, response}`), or `auth.restore` finds an expired
+ *   session (receives `{token}`)
  */
-class Config {
-  constructor() {
+export class Config extends EventEmitter {
+  constructor(entityStore = new Store()) {
+    super();
+    this._store = entityStore;
     this._config = {};
+    this._middleware = [];
+    this._builtinMiddleware = { accessToken, checkStatus };
+    this._transforms = {};
   }
 
   get(key) {
@@ -19,6 +38,75 @@ class Config {
       this._config[key] = value;
     }
   }
+
+  /**
+   * Adds a request middleware. See `request` for the middleware signature.
+   * @param  {function} middleware The middleware function
+   * @return {function}            A function that removes the middleware
+   */
+  use(middleware) {
+    this._middleware = this._middleware.concat([ middleware ]);
+    return () => {
+      this._middleware = _.without(this._middleware, middleware);
+    };
+  }
+
+  /**
+   * Replaces a built-in middleware: 'accessToken' or 'checkStatus'.
+   * @param  {string}   name       The name of the built-in middleware
+   * @param  {function} middleware The new middleware, or null to remove it
+   */
+  replaceMiddleware(name, middleware) {
+    if (!_.has(this._builtinMiddleware, name)) {
+      throw new Error('Unknown built-in middleware: ' + name);
+    }
+    this._builtinMiddleware[name] = middleware;
+  }
+
+  /**
+   * Gets the middleware chain: the ones added by `use`, then the extra ones,
+   * then the built-in ones.
+   * @param  {array} extra Extra middleware, like the ones of a query
+   * @return {array}       Array of middleware functions
+   */
+  getMiddleware(extra = []) {
+    const builtin = this._builtinMiddleware;
+    return _.compact(this._middleware.concat(extra, [ builtin.checkStatus, builtin.accessToken ]));
+  }
+
+  /**
+   * Registers a named transform, usable as `transform` option of the queries
+   * that use this client. Transforms registered on the global config are
+   * available to all clients, and can replace the built-in ones.
+   * @param  {string}   name      The name of the transform
+   * @param  {function} transform Receives `(json, data, filter, params,
+   *                              options)` and returns the new data
+   * @param  {function} mutate    (Optional) Receives `(data, action, record,
+   *                              options)` and returns the data with a record
+   *                              change applied
+   */
+  registerTransform(name, transform, mutate) {
+    this._transforms[name] = { transform, mutate };
+  }
+
+  /**
+   * Gets a transform registered by `registerTransform`.
+   * @param  {string} name The name of the transform
+   * @return {object}      The `transform` and `mutate` functions, or
+   *                       undefined
+   */
+  getTransform(name) {
+    return this._transforms[name];
+  }
+
+  /**
+   * Gets the store where the DataLoaders that use this client keep their
+   * records. The global config uses the `store` module.
+   * @return {Store} The store
+   */
+  getStore() {
+    return this._store;
+  }
 }
 
-export default new Config();
+export default new Config(store);
@@ -1,6 +1,75 @@
 import React from 'react';
+import _ from 'lodash';
 import config from './config';
-import { debounce } from './util'
+import { clientShape } from './ClientProvider';
+import cache from './cache';
+import registry, { modelOf } from './registry';
+import { openChangeStream } from './changeStream';
+import { findByIdBatched } from './batch';
+import { collectUrl, getSnapshotData, hasSnapshot, isCollecting } from './ssr';
+import { createAbortController, getBaseUrl } from './request';
+import {
+  buildChangeStreamUrl,
+  buildCountUrl,
+  buildUrl,
+  describeError,
+  buildQueryString,
+  fillEndpoint,
+  isRelationRoute,
+  queryPaths,
+  send,
+  updateVerb,
+  write
+} from './api';
+import { toFilter, matchWhere } from './filter';
+import { debounce } from './util';
+
+// the default transform of each query type
+const defaultTransforms = {
+  find: 'array',
+  findById: 'single',
+  findOne: 'single',
+  count: 'count',
+  exists: 'exists',
+  remote: 'value'
+};
+
+/**
+ * Chains transforms: each stage receives the result of the previous one as
+ * json, and its own previous result as data. Changes are applied by the
+ * mutate function of the first stage, and the other stages run again.
+ * @param  {array}  stages The `{transform, mutate}` objects
+ * @return {object}        The `{transform, mutate}` of the chain
+ */
+function chainTransforms(stages) {
+  // the results of each stage behind the last results of the chain, so the
+  // stages start from the data they produced, even after a rollback
+  let states = [];
+  const stateOf = data => _.find(states, state => state.result === data);
+
+  const run = (previous, outputs, input, filter, params, options) => {
+    for (let i = outputs.length; i < stages.length; i++) {
+      input = outputs[i] = stages[i].transform(input, previous[i], filter, params, options);
+    }
+    states = states.concat([ { result: input, outputs, filter, params } ]).slice(-10);
+    return input;
+  };
+
+  return {
+    transform(json, data, filter, params, options) {
+      const state = stateOf(data);
+      return run(state ? state.outputs : [ data ], [], json, filter, params, options);
+    },
+    mutate(data, action, record, options) {
+      const state = stateOf(data);
+      if (!state || !stages[0].mutate) {
+        return data;
+      }
+      const first = stages[0].mutate(state.outputs[0], action, record, options);
+      return run(state.outputs, [ first ], first, state.filter, state.params, {});
+    }
+  };
+}
 
 /**
  * A wrapper for a React component that manages the data fetching from LoopBack
@@ -13,14 +82,63 @@ import { debounce } from './util'
  *   - `'loading'` → When new data is currently being loaded;
  *   - `'ok'` → When data was correctly loaded;
  *   - `'error: {error_message}'` → When an error occurs.
+ * - `{name}_meta` → An object describing the query state:
+ *   - `loading` → Whether new data is currently being loaded;
+ *   - `isRefreshing` → Whether data is being loaded again, after a successful
+ *     load. Background refreshes (polling and refetch on focus or reconnect)
+ *     only set this flag, keeping `{name}_status` unchanged;
+ *   - `lastLoadedAt` → The Date of the last successful load, or null;
+ *   - `error` → null, or an object describing the error of the last load,
+ *     with `status` (the HTTP status code), `name`, `message` and `details`
+ *     (as sent by LoopBack, like ValidationError's `details.messages`).
+ * - `{name}_pagination` → (Only for queries with `paginate` option) An object
+ *   with `page`, `pageSize`, `total` (as counted by LoopBack) and `hasMore`.
+ *
+ * And, across all queries:
+ *
+ * - `dataloader_loading` → Whether some query is being loaded, not counting
+ *   background refreshes;
+ * - `dataloader_errors` → null, or an object that maps the names of the
+ *   queries whose last load failed to their errors (as on `{name}_meta`).
  *
  * The options object:
  *
  * ```javascript
  * {
  *  extendMethods: [           // (Optional) Array of component methods that
- *    'method_a'               // should still be available on wrapper
- *  ],
+ *    'method_a'               // should still be available on wrapper. They
+ *  ],                         // return undefined while Component is not
+ *                             // rendered (see `renderWhen`)
+ *
+ *  client: config,            // (Optional) The client created by
+ *                             // `createClient` used by the queries. Defaults
+ *                             // to the one given by `ClientProvider`, or to
+ *                             // the global config
+ *
+ *  loadingComponent: Spinner, // (Optional) Rendered, with the wrapper props,
+ *                             // instead of Component until `renderWhen` is met
+ *
+ *  errorComponent: Failure,   // (Optional) Rendered instead of Component
+ *                             // when `renderWhen` is not met because loads
+ *                             // failed. Besides the wrapper props, it
+ *                             // receives `error` (the first one), `errors`
+ *                             // (as `dataloader_errors`) and `retry`, a
+ *                             // function that loads the failed queries again
+ *
+ *  renderWhen: 'allLoaded',   // (Optional) When Component is rendered.
+ *                             // Defaults to 'allLoaded' when loadingComponent
+ *                             // or errorComponent is given, otherwise it is
+ *                             // always rendered:
+ *                             // 'allLoaded' → Once every query that was
+ *                             //   requested to load has loaded;
+ *                             // 'anyLoaded' → Once one of them has loaded.
+ *                             // Until then, loadingComponent is rendered, or
+ *                             // nothing. Loaded queries keep counting as
+ *                             // loaded while they load again
+ *
+ *  renderWhen: function (props) { // function version of renderWhen
+ *    return props.todos_meta.lastLoadedAt !== null; // Receives the props of
+ *  },                         // Component and tells whether it is rendered
  *
  *  queries: [                 // (Required) Array of queries to be made
  *    {
@@ -30,10 +148,46 @@ import { debounce } from './util'
  *
  *      endpoint: 'tasks',     // (Required) The endpoint on Loopback server
  *
+ *      endpoint: 'users/:userId/tasks', // Placeholders are filled with
+ *                             // params. When one is missing, the query is not
+ *                             // loaded. They are not passed to filter function
+ *
+ *      type: 'find',          // (Optional) The kind of request:
+ *                             // 'find' (default) → `{endpoint}?filter=`, data
+ *                             //   is an array;
+ *                             // 'findById' → `{endpoint}/{params.id}?filter=`,
+ *                             //   data is the record or null;
+ *                             // 'findOne' → `{endpoint}/findOne?filter=`,
+ *                             //   data is the record or null;
+ *                             // 'count' → `{endpoint}/count?where=` (the where
+ *                             //   of filter), data is a number or null;
+ *                             // 'exists' → `{endpoint}/{params.id}/exists`,
+ *                             //   data is a boolean or null;
+ *                             // 'remote' → a custom remote method, data is
+ *                             //   the response as is or null
+ *
+ *      verb: 'get',           // (Only for 'remote') The HTTP verb
+ *
+ *      args: {                // (Only for 'remote' / object or function)
+ *        since: '2016-01-01'  // Arguments sent on the query string. Objects
+ *      },                     // are JSON encoded
+ *
+ *      args: function (params) { // function version of args
+ *        return {since: params.since};
+ *      },
+ *
+ *      body: function (params) { // (Only for 'remote' / object or function)
+ *        return {ids: params.ids}; // The JSON body of other verbs than 'get'
+ *      },
+ *
  *      filter: {              // (Optional / object or function)
  *        where: {done: false} // The filter object passed to Loopback API
  *      },
  *
+ *      filter: where('done').eq(false).order('due DESC'),
+ *                             // A filter builder (see `FilterBuilder`) can
+ *                             // be used instead of objects
+ *
  *      filter: function (params) {       // function version of filter
  *        if (!params.page) return false;
  *        return {
@@ -46,16 +200,120 @@ import { debounce } from './util'
  *        page: 1              // filter function
  *      },
  *
+ *      paramsFromProps: function (props) {
+ *                             // (Optional) Derives parameters from wrapper
+ *        return {             // props. They are merged into params on mount
+ *          userId: props.userId // and, when props change, the query is
+ *        };                   // reloaded if the derived params are different
+ *      },
+ *
+ *      paginate: {            // (Optional) Loads data page by page. The
+ *        pageSize: 20,        // current page is kept on `page` param, and
+ *        append: false        // the total on `{endpoint}/count`. When append
+ *      },                     // is true, next pages are appended to data,
+ *                             // and refreshes load all of them again.
+ *                             // Only for 'find' queries
+ *
+ *      batch: false,          // When true, on endpoints like `users/:id`,
+ *                             // lookups made by many DataLoaders in a short
+ *                             // window are combined into a single request
+ *                             // with `where: {id: {inq: [...]}}` filter.
+ *                             // Only lookups with the same `include`,
+ *                             // `fields` and middleware are combined
+ *
+ *      middleware: [],        // (Optional) Request middleware used only by
+ *                             // this query. See `config.use`
+ *
+ *      retry: {               // (Optional) How failed requests are retried,
+ *        attempts: 3,         // merged into the `retry` config key. A number
+ *        delay: 1000,         // sets only the attempts. Retries wait `delay`
+ *        maxDelay: 30000,     // milliseconds, doubled on each retry, up to
+ *        statusCodes: [500]   // `maxDelay`, with jitter. Network errors,
+ *      },                     // timeouts and the `statusCodes` are retried
+ *
+ *      timeout: 0,            // (Optional) Time in milliseconds after which
+ *                             // each attempt fails. Defaults to `timeout`
+ *                             // config key
+ *
  *      autoLoad: true,        // When true (default), query will be fetched as
  *                             // soon as the component is mounted
  *
+ *      cachePolicy: 'network-only', // How responses kept on the cache are
+ *                             // used. Defaults to `cachePolicy` config key,
+ *                             // or to 'network-only':
+ *                             // 'network-only' → Always loads from network,
+ *                             //   and responses are not cached;
+ *                             // 'cache-first' → Uses cached data when
+ *                             //   present, without loading from network
+ *                             //   unless it was invalidated;
+ *                             // 'cache-and-network' → Renders cached data
+ *                             //   right away and, when it is stale, loads
+ *                             //   it again in background
+ *
+ *      staleTime: 0,          // How long (in milliseconds) cached data is
+ *                             // fresh, not being loaded again by
+ *                             // 'cache-and-network' policy
+ *
+ *      cacheTime: 300000,     // How long (in milliseconds) cached data can
+ *                             // be used. Defaults to 5 minutes
+ *
+ *      pollInterval: 0,       // (Optional) When set, data is refreshed every
+ *                             // `pollInterval` milliseconds, while the page
+ *                             // is visible
+ *
+ *      refetchOnWindowFocus: false, // When true, data is refreshed when the
+ *                             // window gets focus or the page becomes visible
+ *
+ *      refetchOnReconnect: false, // When true, data is refreshed when the
+ *                             // browser goes back online
+ *
+ *      live: false,           // When true, after the first load, changes
+ *                             // reported by `{model}/change-stream` are
+ *                             // applied to data, like `mutate` does
+ *
+ *      tags: [],              // (Optional) Tags passed to `invalidate` to
+ *                             // load this query again, besides its model.
+ *                             // See `invalidate`
+ *
+ *      onSuccess: function (data, {filter, params}) {
+ *                             // (Optional) Called when a load finishes
+ *      },                     // successfully, from network or fresh cache
+ *
+ *      onError: function (error) {
+ *                             // (Optional) Called when a load fails, with
+ *      },                     // the error of the request
+ *
+ *      onSettled: function (data, error, {filter, params}) {
+ *                             // (Optional) Called when a load finishes,
+ *      },                     // successfully (error is null) or not.
+ *                             // Superseded loads call no callbacks.
+ *                             // Errors thrown by callbacks are logged
+ *                             // and don't affect the load
+ *
  *      transform: 'array',    // Transform function that will receive new data
  *                             // and return the data passed to inner component.
- *                             // When equal to 'array' (default), the data is
- *                             // kept as an array of objects.
+ *                             // When equal to 'array' (default of 'find'), the
+ *                             // data is kept as an array of objects.
  *                             // When equal to 'object', the data is kept as a
  *                             // key-value object, where key is the id field.
- *                             // You can pass a custom function as well.
+ *                             // The other types default to 'single' (the
+ *                             // record), 'count', 'exists' and 'value' (the
+ *                             // response as is).
+ *                             // 'merge' upserts received records by id,
+ *                             // keeping the order of the ones present.
+ *                             // 'tree' nests records under their parent
+ *                             // (`parentId`) on `children`.
+ *                             // Transforms registered by
+ *                             // `config.registerTransform` can be used by
+ *                             // name. You can pass a custom function as well.
+ *
+ *      transform: {name: 'groupBy', field: 'status'},
+ *                             // Settings of a transform are passed on its
+ *                             // options. 'groupBy' groups records by field
+ *
+ *      transform: ['merge', 'tree'], // Chained transforms: each one receives
+ *                             // the result of the previous one. Changes
+ *                             // are applied by the mutate of the first one
  *
  *      transform: function (json, data, filter, params, options) {
  *                             // Parameters:
@@ -68,6 +326,27 @@ import { debounce } from './util'
  *                             // Is recommended that you don't modify the data
  *                             // parameter. Instead create and return a new
  *                             // object.
+ *      },
+ *
+ *      mutate: function (data, action, record, options) {
+ *                             // (Optional) Used by create, update, upsert and
+ *                             // destroy methods when transform is a custom
+ *                             // function. Must return the new data.
+ *      },
+ *
+ *      normalize: true,       // When true (default of 'find', 'findById' and
+ *                             // 'findOne'), received records are kept on the
+ *                             // store of the client, shared with other
+ *                             // DataLoaders, and data is updated whenever
+ *                             // one of its records changes
+ *
+ *      model: 'tasks',        // (Optional: defaults to last endpoint segment)
+ *                             // The model name used on the store
+ *
+ *      id: 'id',              // The name of id field of the records
+ *
+ *      relations: {           // (Optional) Maps names of included relations
+ *        owner: 'users'       // to model names. Defaults to relation name
  *      }
  *    },
  *    { ... }
@@ -89,18 +368,20 @@ export function createDataLoader(Component, options = {}) {
     throw new Error('options.queries is required');
   }
 
+  const { renderWhen = options.loadingComponent || options.errorComponent ? 'allLoaded' : null } = options;
+  if (renderWhen && typeof renderWhen !== 'function' && !_.includes(['allLoaded', 'anyLoaded'], renderWhen)) {
+    throw new Error('options.renderWhen must be \'allLoaded\', \'anyLoaded\' or a function');
+  }
+
   const spec = {
     statics: {
       /**
        * Get baseUrl from config and make sure there is a slash at the end.
-       * @return {string} The API base URL
+       * @param  {Config} client The client (defaults to global config)
+       * @return {string}        The API base URL
        */
-      _getBaseUrl() {
-        let baseUrl = config.get('baseUrl') || '';
-        if (baseUrl.slice(-1) !== '/') {
-          baseUrl += '/';
-        }
-        return baseUrl;
+      _getBaseUrl(client = config) {
+        return getBaseUrl(client);
       },
 
       /**
@@ -108,35 +389,102 @@ export function createDataLoader(Component, options = {}) {
        * URL to query Loopback
        * @param  {string} endpoint Name of the route
        * @param  {object} filter   Filter object
+       * @param  {object} params   Params used to fill endpoint placeholders
+       * @param  {Config} client   The client (defaults to global config)
        * @return {string}          Loopback URL
        */
-      _buildUrl(endpoint, filter) {
-        const baseUrl = DataLoader._getBaseUrl();
-        let url = baseUrl + endpoint
-        if (filter) {
-          url += '?filter=' + encodeURIComponent(JSON.stringify(filter));
+      _buildUrl(endpoint, filter, params = {}, client = config) {
+        return buildUrl(endpoint, filter, params, client);
+      },
+
+      /**
+       * Finds the functions of a `transform` option: a function, the name of
+       * a transform registered on the client or global config, or of a
+       * built-in one (`_transform_{name}` and `_mutate_{name}` statics), an
+       * object with the `name` and settings passed on options, like
+       * `{name: 'groupBy', field: 'status'}`, or an array of them, chained.
+       * @param  {any}    transform The transform option
+       * @param  {Config} client    The client
+       * @return {object}           The `transform` and `mutate` functions
+       */
+      _resolveTransform(transform, client = config) {
+        if (_.isArray(transform)) {
+          return chainTransforms(transform.map(stage => this._resolveTransform(stage, client)));
+        }
+        if (typeof transform === 'function') {
+          return { transform };
+        }
+
+        let name = transform;
+        let settings = {};
+        if (_.isPlainObject(transform)) {
+          ({ name, ...settings } = transform);
+        }
+        if (typeof name !== 'string') {
+          throw new Error('Unknown type of transform option:' + (typeof transform));
         }
-        const token = config.get('access_token') || '';
-        if (token) {
-          url += filter ? '&' : '?';
-          url += 'access_token=' + token;
+
+        const found = client.getTransform(name) || config.getTransform(name) || (this['_transform_' + name] && {
+          transform: this['_transform_' + name],
+          mutate: this['_mutate_' + name]
+        });
+        if (!found) {
+          throw new Error('Unknown transform: ' + name);
         }
-        return url;
+        if (_.isEmpty(settings)) {
+          return found;
+        }
+        return {
+          transform: (json, data, filter, params, options) => (
+            found.transform(json, data, filter, params, { ...options, ...settings })
+          ),
+          mutate: found.mutate && ((data, action, record, options) => (
+            found.mutate(data, action, record, { ...options, ...settings })
+          ))
+        };
       },
 
       /**
        * Normalizes the queries objects.
-       * @param  {array} queries Array of queries objects
-       * @return {array}         Array of normalized queries objects
+       * @param  {array}  queries Array of queries objects
+       * @param  {Config} client  The client, whose registered transforms can
+       *                          be used
+       * @return {array}          Array of normalized queries objects
        */
-      _normalizeQueries(queries) {
+      _normalizeQueries(queries, client = config) {
         return queries.map(({
           name,
+          type = 'find',
           filter,
           endpoint,
+          verb = 'get',
+          args,
+          body,
           params = {},
+          paramsFromProps,
+          paginate,
+          middleware = [],
+          retry,
+          timeout,
+          batch = false,
           autoLoad = true,
-          transform = 'array'
+          cachePolicy,
+          staleTime = 0,
+          cacheTime = 5 * 60 * 1000,
+          pollInterval = 0,
+          refetchOnWindowFocus = false,
+          refetchOnReconnect = false,
+          live = false,
+          tags = [],
+          onSuccess,
+          onError,
+          onSettled,
+          transform,
+          mutate,
+          normalize,
+          model,
+          id = 'id',
+          relations = {}
         }) => {
           // Remove leading slash
           if (endpoint.slice(0, 1) === '/') {
@@ -147,22 +495,62 @@ export function createDataLoader(Component, options = {}) {
             endpoint = endpoint.slice(0,-1);
           }
 
-          if (typeof transform === 'string') {
-            transform = this['_transform_' + transform];
+          if (!defaultTransforms[type]) {
+            throw new Error('Unknown query type: ' + type);
+          }
+          transform = transform || defaultTransforms[type];
+          if (normalize === undefined) {
+            normalize = type === 'find' || type === 'findById' || type === 'findOne';
           }
-          if (typeof transform !== 'function') {
-            throw new Error('Unknown type of transform option:' + (typeof transform));
+
+          const resolved = this._resolveTransform(transform, client);
+          transform = resolved.transform;
+          mutate = mutate || resolved.mutate;
+          if (typeof mutate !== 'function') {
+            mutate = data => data;
           }
 
           name = name || endpoint.replace(/\W+/g, '-');
+          model = model || modelOf(endpoint);
+          const path = endpoint + queryPaths[type];
+          const placeholders = (path.match(/:\w+/g) || []).map(p => p.slice(1));
 
           return {
             name,
+            type,
+            single: type === 'findById' || type === 'findOne',
             filter,
             endpoint,
+            path,
+            placeholders,
+            verb: verb.toUpperCase(),
+            args,
+            body,
             params,
+            paramsFromProps,
+            paginate: type === 'find' && paginate && { append: false, ...paginate },
+            middleware,
+            retry,
+            timeout,
+            batch,
             autoLoad,
-            transform
+            cachePolicy,
+            staleTime,
+            cacheTime,
+            pollInterval,
+            refetchOnWindowFocus,
+            refetchOnReconnect,
+            live,
+            tags,
+            onSuccess,
+            onError,
+            onSettled,
+            transform,
+            mutate,
+            normalize,
+            model,
+            id,
+            relations
           };
         });
       },
@@ -201,29 +589,352 @@ export function createDataLoader(Component, options = {}) {
           return newData;
         }
         return _.assign({}, data, newData);
+      },
+
+      /**
+       * Transform function of 'findById' and 'findOne' queries, that keeps the
+       * received record.
+       * @param  {object} json JSON data received from LoopBack API
+       * @return {object}      The record
+       */
+      _transform_single(json) {
+        return json;
+      },
+
+      /**
+       * Transform function of 'count' queries.
+       * @param  {object} json JSON data received from LoopBack API
+       * @return {number}      The number of records
+       */
+      _transform_count(json) {
+        return json.count;
+      },
+
+      /**
+       * Transform function of 'exists' queries.
+       * @param  {object}  json JSON data received from LoopBack API
+       * @return {boolean}      Whether the record exists
+       */
+      _transform_exists(json) {
+        return json.exists;
+      },
+
+      /**
+       * Transform function of 'remote' queries, that keeps the response as is.
+       * @param  {any} json JSON data received from LoopBack API
+       * @return {any}      The same JSON data
+       */
+      _transform_value(json) {
+        return json;
+      },
+
+      /**
+       * Transform function that upserts the received records into data by id,
+       * keeping the position of the records already present.
+       * @param  {array}  json    JSON data received from LoopBack API
+       * @param  {array}  data    Previouly received data
+       * @param  {object} filter  Filter object used to query LoopBack API
+       * @param  {object} params  Params object passed to filter function
+       * @param  {object} options Options object passed to load method
+       * @return {array}          The resulting array
+       */
+      _transform_merge(json, data, filter, params, {id = 'id'}) {
+        return json.reduce((result, record) => DataLoader._mutate_array(result, 'upsert', record, {id}), data || []);
+      },
+
+      /**
+       * Transform function that groups records by the value of a field, given
+       * by the `field` setting: `{name: 'groupBy', field: 'status'}`.
+       * @param  {array}  json    JSON data received from LoopBack API
+       * @param  {object} data    Previouly received data
+       * @param  {object} filter  Filter object used to query LoopBack API
+       * @param  {object} params  Params object passed to filter function
+       * @param  {object} options Options object with the `field` setting
+       * @return {object}         Maps each value of field to the array of its
+       *                          records
+       */
+      _transform_groupBy(json, data, filter, params, {field}) {
+        if (!field) {
+          throw new Error('groupBy transform needs a field: {name: \'groupBy\', field: \'...\'}');
+        }
+        return _.groupBy(json, field);
+      },
+
+      /**
+       * Transform function that nests records under their parent, found by
+       * the `parentField` setting (defaults to 'parentId'). Records without
+       * parent, or whose parent is missing, are the roots.
+       * @param  {array}  json    JSON data received from LoopBack API
+       * @param  {array}  data    Previouly received data
+       * @param  {object} filter  Filter object used to query LoopBack API
+       * @param  {object} params  Params object passed to filter function
+       * @param  {object} options Options object with `id`, `parentField` and
+       *                          `childrenField` (defaults to 'children')
+       * @return {array}          The root records, each with its children
+       */
+      _transform_tree(json, data, filter, params, options) {
+        const { id = 'id', parentField = 'parentId', childrenField = 'children' } = options;
+        const byParent = _.groupBy(json, record => record[parentField]);
+        const ids = _.indexBy(json, id);
+        const build = record => ({
+          ...record,
+          [childrenField]: (byParent[record[id]] || []).map(build)
+        });
+        return json
+          .filter(record => record[parentField] === null || record[parentField] === undefined ||
+            !ids[record[parentField]])
+          .map(build);
+      },
+
+      /**
+       * Applies a single record change to data kept by the 'array' transform.
+       * Updated records keep their position on the array.
+       * @param  {array}  data    Previouly received data
+       * @param  {string} action  One of 'create', 'update', 'upsert' or 'destroy'
+       * @param  {object} record  The changed record. On 'destroy', only the id
+       *                          field is present
+       * @param  {object} options Options object passed to mutation method
+       * @return {array}          The resulting array that inner component will
+       *                          receive
+       */
+      _mutate_array(data, action, record, {id = 'id'}) {
+        const index = _.findIndex(data, row => String(row[id]) === String(record[id]));
+
+        if (action === 'destroy') {
+          return index === -1 ? data : data.filter((row, i) => i !== index);
+        }
+        if (action === 'create' || index === -1) {
+          return data.concat([ record ]);
+        }
+
+        const newData = data.slice();
+        newData[index] = _.assign({}, data[index], record);
+        return newData;
+      },
+
+      /**
+       * Applies a single record change to data kept by the 'object' transform.
+       * @param  {object} data    Previouly received data
+       * @param  {string} action  One of 'create', 'update', 'upsert' or 'destroy'
+       * @param  {object} record  The changed record. On 'destroy', only the id
+       *                          field is present
+       * @param  {object} options Options object passed to mutation method
+       * @return {object}         The resulting object that inner component will
+       *                          receive
+       */
+      _mutate_object(data, action, record, {id = 'id'}) {
+        const key = record[id];
+
+        if (action === 'destroy') {
+          return _.omit(data, String(key));
+        }
+
+        return _.assign({}, data, {
+          [key]: action === 'create' ? record : _.assign({}, data[key], record)
+        });
+      },
+
+      /**
+       * Applies a single record change to data kept by the 'single' transform.
+       * Only changes of the same record are applied.
+       * @param  {object} data    Previouly received record
+       * @param  {string} action  One of 'create', 'update', 'upsert' or 'destroy'
+       * @param  {object} record  The changed record. On 'destroy', only the id
+       *                          field is present
+       * @param  {object} options Options object passed to mutation method
+       * @return {object}         The resulting record or null
+       */
+      _mutate_single(data, action, record, {id = 'id'}) {
+        if (!data || String(data[id]) !== String(record[id])) {
+          return data;
+        }
+        return action === 'destroy' ? null : _.assign({}, data, record);
+      },
+
+      /**
+       * Applies a single record change to data kept by the 'merge' transform,
+       * like the 'array' transform.
+       * @param  {array}  data    Previouly received data
+       * @param  {string} action  One of 'create', 'update', 'upsert' or 'destroy'
+       * @param  {object} record  The changed record
+       * @param  {object} options Options object passed to mutation method
+       * @return {array}          The resulting array
+       */
+      _mutate_merge(data, action, record, options) {
+        return DataLoader._mutate_array(data, action, record, options);
+      },
+
+      /**
+       * Applies a single record change to data kept by the 'groupBy'
+       * transform, moving the record to the group of its new field value.
+       * @param  {object} data    Previouly received data
+       * @param  {string} action  One of 'create', 'update', 'upsert' or 'destroy'
+       * @param  {object} record  The changed record
+       * @param  {object} options Options object with the `field` setting
+       * @return {object}         The resulting groups
+       */
+      _mutate_groupBy(data, action, record, {id = 'id', field}) {
+        const matches = row => String(row[id]) === String(record[id]);
+        const current = _(data).values().flatten().find(matches);
+        const groups = _.omit(
+          _.mapValues(data, rows => _.reject(rows, matches)),
+          rows => !rows.length
+        );
+        if (action === 'destroy') {
+          return groups;
+        }
+        const changed = action === 'create' || !current ? record : _.assign({}, current, record);
+        const key = changed[field];
+        return _.assign(groups, { [key]: (groups[key] || []).concat([ changed ]) });
       }
     },
 
+    contextTypes: {
+      loopbackClient: clientShape
+    },
+
     /**
      * Data fetching is started as soon as possible
      */
     componentWillMount() {
       // creates internal structures
-      this._queries = _.indexBy(DataLoader._normalizeQueries(options.queries), 'name');
+      this._queries = _.indexBy(DataLoader._normalizeQueries(options.queries, this._getClient()), 'name');
       this._data = _(this._queries)
-        .map(q => [q.name, []])
+        .map(q => [q.name, q.type === 'find' ? [] : null])
         .zipObject()
         .value();
+      _.forEach(this._queries, q => {
+        this._data[q.name + '_meta'] = {
+          loading: false,
+          isRefreshing: false,
+          lastLoadedAt: null,
+          error: null
+        };
+      });
 
 
       // creates a debounced version of load function for each query
       this._queries = _.mapValues(this._queries, q => ({
         ...q,
-        load: debounce((options) => this._load(q.name, options), 200, false)
+        params: { ...q.params },
+        load: debounce((options) => this._loadWaiting(q.name, options), 200, false),
+        waiting: []
       }));
 
-      // autoload, if allowed
-      _.map(this._queries, ({name, autoLoad}) => autoLoad && this.load(name));
+      _.forEach(this._queries, cfg => {
+        if (cfg.paginate) {
+          this._data[cfg.name + '_pagination'] = {
+            page: cfg.params.page || 1,
+            pageSize: cfg.paginate.pageSize,
+            total: null,
+            hasMore: false
+          };
+        }
+      });
+
+      // params derived from props
+      _.forEach(this._queries, cfg => {
+        if (cfg.paramsFromProps) {
+          cfg.propsParams = cfg.paramsFromProps(this.props);
+          _.assign(cfg.params, cfg.propsParams);
+        }
+      });
+
+      // keys of the store entities referenced by each query
+      this._entityKeys = _.mapValues(this._queries, () => []);
+
+      // autoload, if allowed. Data prefetched on the server is used right away
+      _.forEach(this._queries, ({name, autoLoad}) => {
+        if (!autoLoad || this._loadFromSnapshot(name)) {
+          return;
+        }
+        if (isCollecting()) {
+          const req = this._prepareLoad(name);
+          if (req && req.method === 'GET') {
+            const { middleware, retry, timeout } = this._queries[name];
+            const requestOptions = { middleware, retry, timeout };
+            collectUrl(req.url, this._getClient(), requestOptions);
+            if (req.countUrl) collectUrl(req.countUrl, this._getClient(), requestOptions);
+          }
+        } else if (typeof window !== 'undefined' && this._loadFromCache(name) !== 'fresh') {
+          this.load(name);
+        }
+      });
+    },
+
+    /**
+     * Polling and refetch listeners only run on the browser
+     */
+    componentDidMount() {
+      this._unsubscribeStore = this._getStore().subscribe(keys => this._onStoreChange(keys));
+      this._unregisterQueries = _.map(this._queries, cfg => registry.register({
+        model: cfg.model,
+        tags: cfg.tags,
+        client: this._getClient(),
+        refetch: () => this._invalidate(cfg.name)
+      }));
+      _.forEach(this._queries, cfg => {
+        if (cfg.live && this._data[cfg.name + '_meta'].lastLoadedAt) {
+          this._openChangeStream(cfg.name);
+        }
+      });
+
+      this._pollTimers = _(this._queries)
+        .filter('pollInterval')
+        .map(({name, pollInterval}) => setInterval(() => this._refresh(name), pollInterval))
+        .value();
+
+      this._onFocus = () => this._refreshWhere('refetchOnWindowFocus');
+      this._onVisibilityChange = () => !document.hidden && this._onFocus();
+      this._onOnline = () => this._refreshWhere('refetchOnReconnect');
+      window.addEventListener('focus', this._onFocus);
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+      window.addEventListener('online', this._onOnline);
+    },
+
+    /**
+     * Queries with params derived from props are reloaded when those params
+     * change. When autoLoad is false, only the params are updated
+     */
+    componentWillReceiveProps(nextProps) {
+      _.forEach(this._queries, cfg => {
+        if (!cfg.paramsFromProps) {
+          return;
+        }
+        const propsParams = cfg.paramsFromProps(nextProps);
+        if (_.isEqual(propsParams, cfg.propsParams)) {
+          return;
+        }
+        cfg.propsParams = propsParams;
+        if (cfg.autoLoad) {
+          this.load(cfg.name, propsParams);
+        } else {
+          _.assign(cfg.params, propsParams);
+        }
+      });
+    },
+
+    /**
+     * Pending loads are cancelled, so nothing is updated after unmount
+     */
+    componentWillUnmount() {
+      this._unmounted = true;
+      this._unsubscribeStore();
+      this._unregisterQueries.forEach(unregister => unregister());
+      this._pollTimers.forEach(timer => clearInterval(timer));
+      window.removeEventListener('focus', this._onFocus);
+      document.removeEventListener('visibilitychange', this._onVisibilityChange);
+      window.removeEventListener('online', this._onOnline);
+      _.forEach(this._queries, cfg => {
+        cfg.load.cancel();
+        cfg.waiting.forEach(resolve => resolve());
+        if (cfg.changeStream) {
+          cfg.changeStream.close();
+        }
+        if (cfg.controller) {
+          cfg.controller.abort();
+        }
+      });
     },
 
     /**
@@ -237,7 +948,8 @@ export function createDataLoader(Component, options = {}) {
      *                       // When false (default), they will be merged.
      *
      *   append: false       // (used only with 'array' transform function)
-     *                       // When true, new data will be appended to the old data.
+     *                       // When true, new data will be appended to the old data
+     *                       // (and it is not loaded again in background).
      *                       // When false (default), new data will replace old data.
      *
      *   id: 'id'            // (used only with 'object' transform function)
@@ -248,9 +960,14 @@ export function createDataLoader(Component, options = {}) {
      * }
      * ```
      *
-     * @param  {string} name    The name of the query to load
-     * @param  {object} params  Parameters to be passed to filter function, if existent
-     * @param  {object} options Options object
+     * Calls made in a short period are combined into a single load.
+     *
+     * @param  {string}  name    The name of the query to load
+     * @param  {object}  params  Parameters to be passed to filter function, if existent
+     * @param  {object}  options Options object
+     * @return {Promise}         Resolves with the query data when the load
+     *                           finishes. As errors are kept on `{name}_meta`,
+     *                           it also resolves when the load fails
      */
     load(name, params = {}, options = {}) {
       const cfg = this._queries[name];
@@ -261,53 +978,792 @@ export function createDataLoader(Component, options = {}) {
 
       _.assign(cfg.params, params);
 
-      cfg.load(options);
+      return new Promise(resolve => {
+        cfg.waiting.push(resolve);
+        cfg.load(options);
+      });
     },
 
-    _load(name, options) {
+    /**
+     * Loads a query and resolves the promises returned by the `load` calls
+     * that were combined into it.
+     * @param  {string} name    The name of the query
+     * @param  {object} options Options object passed to load method
+     */
+    _loadWaiting(name, options) {
       const cfg = this._queries[name];
+      const { waiting } = cfg;
+      cfg.waiting = [];
+      const resolveAll = data => waiting.forEach(resolve => resolve(data));
+      this._load(name, options).then(resolveAll, () => resolveAll(this._data[name]));
+      // loads that didn't start, like when placeholders are missing, are no
+      // longer pending
+      if (!this._data[name + '_meta'].loading) {
+        this._update();
+      }
+    },
 
-      const filter = typeof cfg.filter === 'function' ?
-        cfg.filter(cfg.params) :
-        cfg.filter;
+    /**
+     * Loads again, in background, the queries that have the given option.
+     * @param  {string} option Name of the query option
+     */
+    _refreshWhere(option) {
+      _.forEach(this._queries, cfg => cfg[option] && this._refresh(cfg.name));
+    },
 
-      if (filter === false) {
+    /**
+     * Loads again, in background, a query that was already loaded with its
+     * current params. Nothing is done while the page is hidden or the query
+     * is loading.
+     * @param  {string} name The name of the query
+     */
+    _refresh(name) {
+      const meta = this._data[name + '_meta'];
+      if (document.hidden || !meta.lastLoadedAt || meta.loading || meta.isRefreshing) {
         return;
       }
+      this._reload(name, true);
+    },
+
+    /**
+     * Loads again a query whose data was invalidated, with its current
+     * params. Queries that were never loaded are skipped. Once loaded, data
+     * is kept while it is loaded again in background.
+     * @param  {string} name The name of the query
+     */
+    _invalidate(name) {
+      const meta = this._data[name + '_meta'];
+      if (!meta.lastLoadedAt && !meta.loading) {
+        return;
+      }
+      this._reload(name, meta.lastLoadedAt !== null);
+    },
 
-      const url = DataLoader._buildUrl(cfg.endpoint, filter);
+    /**
+     * Loads a query again with its current params. On queries that append
+     * pages, all the loaded pages are loaded again, in a single request.
+     * Data appended by `load` calls with `append` option is kept as it is, as
+     * it can't be loaded again with the current params.
+     * @param  {string}  name       The name of the query
+     * @param  {boolean} background When true, `{name}_status` is kept
+     * @return {Promise}            Resolves like `_load`
+     */
+    _reload(name, background) {
+      if (this._queries[name].appended) {
+        return Promise.resolve(this._data[name]);
+      }
+      return this._load(name, { allPages: true }, background);
+    },
+
+    /**
+     * Builds the request of a query with its current params.
+     * @param  {string} name    The name of the query
+     * @param  {object} options Options object passed to load method. With
+     *                          `allPages` on queries that append pages, the
+     *                          pages up to the current one are requested
+     * @return {object}         The `url`, `filter`, `page`, `countUrl` (only
+     *                          for paginated queries) and `batch` (the model
+     *                          `url`, `id` and `filter`, only for batched
+     *                          queries), or null when the query should not be
+     *                          loaded
+     */
+    _prepareLoad(name, options = {}) {
+      const cfg = this._queries[name];
+      const client = this._getClient();
+
+      if (fillEndpoint(cfg.path, cfg.params) === false) {
+        return null;
+      }
+
+      if (cfg.type === 'remote') {
+        return this._prepareRemote(name);
+      }
+
+      let filter = toFilter(typeof cfg.filter === 'function' ?
+        cfg.filter(_.omit(cfg.params, cfg.placeholders)) :
+        cfg.filter);
+
+      if (filter === false) {
+        return null;
+      }
+
+      const { paginate } = cfg;
+      const page = cfg.params.page || 1;
+      if (paginate) {
+        const pages = options.allPages && paginate.append ? page : 1;
+        filter = _.assign({}, filter, {
+          limit: paginate.pageSize * pages,
+          skip: paginate.pageSize * (page - pages)
+        });
+      }
+
+      let batchLookup = null;
+      if (cfg.batch) {
+        const endpoint = fillEndpoint(cfg.path, cfg.params);
+        const index = endpoint.lastIndexOf('/');
+        batchLookup = {
+          url: DataLoader._buildUrl(endpoint.slice(0, index), null, {}, client),
+          id: decodeURIComponent(endpoint.slice(index + 1)),
+          filter
+        };
+      }
+
+      let url;
+      if (cfg.type === 'count') {
+        url = buildCountUrl(cfg.endpoint, filter && filter.where, cfg.params, client);
+      } else {
+        url = DataLoader._buildUrl(cfg.path, cfg.type === 'exists' ? null : filter, cfg.params, client);
+      }
+
+      return {
+        method: 'GET',
+        filter,
+        page,
+        batch: batchLookup,
+        url,
+        countUrl: paginate ?
+          buildCountUrl(cfg.endpoint, filter.where, cfg.params, client) :
+          null
+      };
+    },
+
+    /**
+     * Builds the request of a 'remote' query, with its args on the query
+     * string and its body.
+     * @param  {string} name The name of the query
+     * @return {object}      The request
+     */
+    _prepareRemote(name) {
+      const cfg = this._queries[name];
+      const params = _.omit(cfg.params, cfg.placeholders);
+      const args = typeof cfg.args === 'function' ? cfg.args(params) : cfg.args;
+      const body = typeof cfg.body === 'function' ? cfg.body(params) : cfg.body;
+
+      if (args === false || body === false) {
+        return null;
+      }
+
+      return {
+        method: cfg.verb,
+        body: cfg.verb === 'GET' ? undefined : body,
+        url: DataLoader._buildUrl(cfg.path, null, cfg.params, this._getClient()) + buildQueryString(args),
+        filter: null,
+        page: 1,
+        batch: null,
+        countUrl: null
+      };
+    },
+
+    /**
+     * Stores the response of a query request on data.
+     * @param  {string} name        The name of the query
+     * @param  {object} req         The request built by `_prepareLoad`
+     * @param  {any}    json        The parsed response
+     * @param  {object} countResult The response of `{endpoint}/count`
+     * @param  {object} options     Options object passed to load method
+     * @param  {Date}   loadedAt    When the response was received
+     */
+    _receive(name, req, json, countResult, options, loadedAt = new Date()) {
+      const cfg = this._queries[name];
+      if (cfg.paginate) {
+        const total = countResult.count;
+        this._data[name + '_pagination'] = {
+          page: req.page,
+          pageSize: cfg.paginate.pageSize,
+          total,
+          hasMore: req.page * cfg.paginate.pageSize < total
+        };
+      }
+      this._data[name] = cfg.transform(
+        json,
+        this._data[name],
+        req.filter,
+        cfg.params,
+        options);
+      // pages of `paginate` queries are loaded again by `_reload`
+      cfg.appended = !cfg.paginate && !!options.append;
+      this._data[name + '_status'] = 'ok';
+      this._setMeta(name, () => ({
+        loading: false,
+        isRefreshing: false,
+        lastLoadedAt: loadedAt,
+        error: null
+      }));
+    },
+
+    /**
+     * Uses the data prefetched on the server, when available.
+     * @param  {string}  name The name of the query
+     * @return {boolean}      Whether data was found
+     */
+    _loadFromSnapshot(name) {
+      if (!hasSnapshot()) {
+        return false;
+      }
+      const req = this._prepareLoad(name);
+      if (!req || req.method !== 'GET') {
+        return false;
+      }
+      const client = this._getClient();
+      const json = getSnapshotData(req.url, client);
+      const countResult = req.countUrl && getSnapshotData(req.countUrl, client);
+      if (json === undefined || countResult === undefined) {
+        return false;
+      }
+
+      this._receive(name, req, json, countResult, {});
+      // the store is kept only on the browser
+      if (typeof window !== 'undefined') {
+        this._normalize(name, json);
+      }
+      return true;
+    },
+
+    /**
+     * Uses the data kept on the cache, according to the query's cache policy.
+     * @param  {string} name    The name of the query
+     * @param  {object} req     (Optional) The request built by `_prepareLoad`
+     * @param  {object} options Options object passed to load method
+     * @return {string}         'fresh' when data should not be loaded again,
+     *                          'stale' when it should, or false when no
+     *                          cached data was used
+     */
+    _loadFromCache(name, req, options = {}) {
+      const cfg = this._queries[name];
+      const policy = this._getCachePolicy(name);
+      if (policy === 'network-only') {
+        return false;
+      }
+      req = req || this._prepareLoad(name);
+      if (!req || req.method !== 'GET') {
+        return false;
+      }
+
+      const entry = cache.get(req.url, cfg.cacheTime);
+      const countEntry = req.countUrl ? cache.get(req.countUrl, cfg.cacheTime) : {};
+      if (!entry || !countEntry) {
+        return false;
+      }
+
+      this._receive(name, req, entry.data, countEntry.data, options, new Date(entry.updatedAt));
+      this._normalize(name, entry.data);
+      const isFresh = !entry.stale &&
+        (policy === 'cache-first' || Date.now() - entry.updatedAt < cfg.staleTime);
+      return isFresh ? 'fresh' : 'stale';
+    },
+
+    /**
+     * Gets the cache policy of a query: its `cachePolicy` option, or the
+     * `cachePolicy` key of the client.
+     * @param  {string} name The name of the query
+     * @return {string}      The policy
+     */
+    _getCachePolicy(name) {
+      return this._queries[name].cachePolicy || this._getClient().get('cachePolicy') || 'network-only';
+    },
+
+    /**
+     * Loads a query with its current params.
+     * @param  {string}  name       The name of the query
+     * @param  {object}  options    Options object passed to load method
+     * @param  {boolean} background When true, `{name}_status` is kept
+     * @return {Promise}            Resolves with the query data when the load
+     *                              (or the one that superseded it) finishes.
+     *                              Errors are kept on `{name}_meta`
+     */
+    _load(name, options, background = false) {
+      const cfg = this._queries[name];
+      const req = this._prepareLoad(name, options);
+
+      if (!req) {
+        return Promise.resolve(this._data[name]);
+      }
+
+      // cached data is shown right away, and only loaded again when stale
+      if (!background) {
+        const cached = this._loadFromCache(name, req, options);
+        if (cached === 'fresh') {
+          cfg.requestId = (cfg.requestId || 0) + 1;
+          if (cfg.controller) {
+            cfg.controller.abort();
+          }
+          this._update();
+          this._settle(name, req, null);
+          return cfg.promise = Promise.resolve(this._data[name]);
+        }
+        background = cached === 'stale';
+      }
 
       const status = cfg.name + '_status';
-      this._data[status] = 'loading';
+      if (!background) {
+        this._data[status] = 'loading';
+      }
+      this._setMeta(cfg.name, meta => ({
+        loading: !background,
+        isRefreshing: background || meta.lastLoadedAt !== null
+      }));
       this.forceUpdate();
 
-      fetch(url)
-        .then(response => {
-          if (!response.ok) throw new Error(response.statusText);
-          return response.json();
-        })
-        .then(json => {
-          this._data[cfg.name] = cfg.transform(
-            json,
-            this._data[cfg.name],
-            filter,
-            cfg.params,
-            options);
+      // a newer load supersedes the ones still in flight
+      const requestId = cfg.requestId = (cfg.requestId || 0) + 1;
+      if (cfg.controller) {
+        cfg.controller.abort();
+      }
+      const controller = cfg.controller = createAbortController();
+      const isCurrent = () => !this._unmounted && requestId === cfg.requestId;
+      // superseded loads follow the newer one
+      const current = () => this._unmounted ? undefined : cfg.promise;
+
+      const signal = controller ? controller.signal : undefined;
+
+      const client = this._getClient();
+      const requestOptions = { signal, middleware: cfg.middleware, retry: cfg.retry, timeout: cfg.timeout, client };
+
+      return cfg.promise = Promise.all([
+        req.batch ?
+          findByIdBatched(req.batch.url, req.batch.id, {
+            id: cfg.id,
+            filter: req.batch.filter,
+            middleware: cfg.middleware,
+            client
+          }) :
+          send(req, requestOptions),
+        req.countUrl && send({ method: 'GET', url: req.countUrl }, requestOptions)
+      ])
+        .then(([json, countResult]) => {
+          if (!isCurrent()) return;
+          // responses are only cached for queries that use the cache
+          if (req.method === 'GET' && this._getCachePolicy(cfg.name) !== 'network-only') {
+            const tags = [ cfg.model ].concat(cfg.tags);
+            cache.set(req.url, json, tags);
+            if (req.countUrl) cache.set(req.countUrl, countResult, tags);
+          }
+          this._receive(cfg.name, req, json, countResult, options);
+          this._normalize(cfg.name, json);
+          if (cfg.live && !cfg.changeStream) {
+            this._openChangeStream(cfg.name);
+          }
         })
+        .then(() => {
+          if (!isCurrent()) return current();
+          cfg.controller = null;
+          this.forceUpdate();
+          this._settle(cfg.name, req, null);
+          return this._data[cfg.name];
+        }, err => {
+          if (!isCurrent()) return current();
+          if (!background) {
+            this._data[status] = 'error: ' + err.message;
+          }
+          this._setMeta(cfg.name, () => ({
+            loading: false,
+            isRefreshing: false,
+            error: describeError(err)
+          }));
+          cfg.controller = null;
+          this.forceUpdate();
+          this._settle(cfg.name, req, err);
+          return this._data[cfg.name];
+        });
+    },
+
+    /**
+     * Calls the `onSuccess` or `onError` callback of a query, and then its
+     * `onSettled` callback. Errors thrown by callbacks are logged, so they
+     * don't affect the load.
+     * @param  {string} name  The name of the query
+     * @param  {object} req   The request of the finished load
+     * @param  {Error}  error The error of the load, or null
+     */
+    _settle(name, req, error) {
+      const cfg = this._queries[name];
+      const data = this._data[name];
+      const info = { filter: req.filter, params: cfg.params };
+      const call = (callback, ...args) => {
+        if (!callback) return;
+        try {
+          callback(...args);
+        } catch (err) {
+          console.error(err); // eslint-disable-line no-console
+        }
+      };
+      if (error) {
+        call(cfg.onError, error);
+      } else {
+        call(cfg.onSuccess, data, info);
+      }
+      call(cfg.onSettled, data, error, info);
+    },
+
+    /**
+     * Loads a page of a query with `paginate` option. When `append` is set on
+     * `paginate` option, the pages after the first are appended to data.
+     * @param  {string}  name The name of the query to load
+     * @param  {number}  page The page number, starting from 1
+     * @return {Promise}      Resolves like `load`
+     */
+    loadPage(name, page) {
+      const { paginate } = this._queries[name];
+      if (!paginate) {
+        throw new Error('Query ' + name + ' has no paginate option');
+      }
+      return this.load(name, { page }, { append: paginate.append && page > 1 });
+    },
+
+    /**
+     * Loads the page after the last loaded page of a query with `paginate`
+     * option.
+     * @param  {string}  name The name of the query to load
+     * @return {Promise}      Resolves like `load`
+     */
+    loadNextPage(name) {
+      return this.loadPage(name, this._data[name + '_pagination'].page + 1);
+    },
+
+    /**
+     * Creates a new record by sending a POST request to the query's endpoint.
+     * The created record is merged into the query data. Accepts the following
+     * options:
+     *
+     * ```
+     * {
+     *   optimistic: false, // When true, the change is applied to the data
+     *                      // right away and rolled back if the request fails.
+     *
+     *   id: 'id'           // The name of id field of the records
+     * }
+     * ```
+     *
+     * @param  {string}  name    The name of the query
+     * @param  {object}  data    The record to be created
+     * @param  {object}  options Options object
+     * @return {Promise}         Resolves with the record returned by LoopBack
+     */
+    create(name, data, options = {}) {
+      return this._mutate(name, 'create', 'POST', null, data, data, options);
+    },
+
+    /**
+     * Updates some attributes of a record by sending a PATCH request (PUT on
+     * relation routes) to `{endpoint}/{id}`. Accepts the same options of
+     * `create` method.
+     * @param  {string}  name    The name of the query
+     * @param  {any}     id      The id of the record to update
+     * @param  {object}  patch   The attributes to be changed
+     * @param  {object}  options Options object
+     * @return {Promise}         Resolves with the record returned by LoopBack
+     */
+    update(name, id, patch, options = {}) {
+      const { id: idField = 'id' } = options;
+      const record = _.assign({}, patch, { [idField]: id });
+      const verb = updateVerb(this._queries[name].endpoint);
+      return this._mutate(name, 'update', verb, id, patch, record, options);
+    },
+
+    /**
+     * Creates or replaces a record by sending a PUT request to the query's
+     * endpoint. Rejects on relation routes, where LoopBack has no upsert.
+     * Accepts the same options of `create` method.
+     * @param  {string}  name    The name of the query
+     * @param  {object}  data    The record to be created or replaced
+     * @param  {object}  options Options object
+     * @return {Promise}         Resolves with the record returned by LoopBack
+     */
+    upsert(name, data, options = {}) {
+      return this._mutate(name, 'upsert', 'PUT', null, data, data, options);
+    },
+
+    /**
+     * Deletes a record by sending a DELETE request to `{endpoint}/{id}`.
+     * Accepts the same options of `create` method.
+     * @param  {string}  name    The name of the query
+     * @param  {any}     id      The id of the record to delete
+     * @param  {object}  options Options object
+     * @return {Promise}         Resolves with the response of LoopBack
+     */
+    destroy(name, id, options = {}) {
+      const { id: idField = 'id' } = options;
+      return this._mutate(name, 'destroy', 'DELETE', id, null, { [idField]: id }, options);
+    },
+
+    _mutate(name, action, method, id, body, record, options) {
+      const cfg = this._queries[name];
+      options = { id: cfg.id, ...options };
+      const { optimistic = false } = options;
+      const previous = this._data[name];
+
+      if (fillEndpoint(cfg.endpoint, cfg.params) === false) {
+        return Promise.reject(new Error('Missing params of endpoint ' + cfg.endpoint));
+      }
+
+      let applied;
+      if (optimistic) {
+        applied = this._data[name] = cfg.mutate(previous, action, record, options);
+        this._update();
+      }
+
+      // When data was not touched since the optimistic change, the change is
+      // undone before applying the server response
+      const getBase = () => (
+        optimistic && this._data[name] === applied ? previous : this._data[name]
+      );
+
+      const client = this._getClient();
+      const { params, middleware, retry, timeout } = cfg;
+      return write(method, cfg.endpoint, id, body, { params, middleware, retry, timeout, client })
         .then(
-          () => this._data[status] = 'ok',
-          (err) => this._data[status] = 'error: ' + err.message
-        )
-        .then(() => this.forceUpdate());
+          json => {
+            // 'destroy' responds with a count, so the local record is used
+            const result = action === 'destroy' ? record : json;
+            this._applyChange(name, action, result, options, getBase());
+            return json;
+          },
+          err => {
+            if (optimistic) {
+              this._data[name] = getBase();
+              this._update();
+            }
+            throw err;
+          }
+        );
+    },
+
+    /**
+     * Applies a record change to the query data, using its mutate function,
+     * and to the store of the client.
+     * @param  {string} name    The name of the query
+     * @param  {string} action  One of 'create', 'update', 'upsert' or 'destroy'
+     * @param  {object} record  The changed record
+     * @param  {object} options Options object passed to mutate function
+     * @param  {any}    base    The data to which the change is applied
+     */
+    _applyChange(name, action, record, options, base = this._data[name]) {
+      const cfg = this._queries[name];
+      this._data[name] = cfg.mutate(base, action, record, options);
+      if (action !== 'destroy') {
+        this._normalize(name, [ record ]);
+      } else if (cfg.normalize) {
+        this._normalize(name, []);
+        this._getStore().remove(cfg.model, record[options.id]);
+      }
+      this._update();
+    },
+
+    /**
+     * Listens to the change stream of the query's model and applies the
+     * changes to the query data. On 'find' queries, created and updated
+     * records are matched against the `where` of the filter. Queries with
+     * `limit` or `skip` (like paginated ones), and queries of relation routes
+     * like `users/:userId/orders`, whose model stream reports the records of
+     * every parent, are loaded again instead.
+     * @param  {string} name The name of the query
+     */
+    _openChangeStream(name) {
+      const cfg = this._queries[name];
+      const url = buildChangeStreamUrl(cfg.model, cfg.params, this._getClient());
+      const actions = { create: 'create', update: 'update', remove: 'destroy' };
+
+      cfg.changeStream = openChangeStream(url, ({type, target, data}) => {
+        const action = actions[type];
+        if (!action) {
+          return;
+        }
+        let record = _.assign({}, action === 'destroy' ? {} : data, { [cfg.id]: target });
+        const req = cfg.type === 'find' && this._prepareLoad(name);
+        const filter = req && req.filter || {};
+
+        // changes can move records in or out of a limited range, and may be
+        // about records of other parents
+        if (filter.limit || filter.skip || isRelationRoute(cfg.endpoint)) {
+          this._refresh(name);
+          return;
+        }
+        if (action !== 'destroy' && filter.where) {
+          // updated records that were not loaded are completed by the store
+          const current = cfg.normalize ? this._getStore().get(cfg.model, target) : null;
+          record = _.assign({}, current, record);
+          if (!matchWhere(record, filter.where)) {
+            // updated records that no longer match are removed from data
+            if (action === 'update') {
+              this._data[name] = cfg.mutate(this._data[name], 'destroy', { [cfg.id]: target }, { id: cfg.id });
+              this._normalize(name, [ record ]);
+              this._update();
+            }
+            return;
+          }
+        }
+        this._applyChange(name, action, record, { id: cfg.id });
+      });
+    },
+
+    /**
+     * Updates the entity keys referenced by the query and merges the received
+     * records into the store of the client.
+     * @param  {string} name    The name of the query
+     * @param  {array}  records The records received from LoopBack
+     */
+    _normalize(name, records) {
+      const cfg = this._queries[name];
+      if (!cfg.normalize) {
+        return;
+      }
+      const store = this._getStore();
+      const storeOptions = { id: cfg.id, relations: cfg.relations };
+      const data = cfg.single ? [ this._data[name] ] : this._data[name];
+      this._entityKeys[name] = store.keys(cfg.model, data, storeOptions);
+      store.merge(cfg.model, _.isArray(records) ? records : [ records ], storeOptions);
+    },
+
+    /**
+     * Replaces the records of every query that references a changed entity by
+     * their current version on the store of the client.
+     * @param  {array} keys Keys of the changed entities
+     */
+    _onStoreChange(keys) {
+      const changed = _.filter(this._queries, ({name}) => (
+        _.intersection(this._entityKeys[name], keys).length
+      ));
+      if (!changed.length) {
+        return;
+      }
+
+      const store = this._getStore();
+      changed.forEach(cfg => {
+        const refresh = row => {
+          if (!_.isPlainObject(row) || row[cfg.id] === undefined) return row;
+          const entity = store.get(cfg.model, row[cfg.id]);
+          // keys added by transforms, like the children of 'tree', are kept
+          const extra = entity && _.omit(row, (value, key) => _.has(entity, key));
+          return _.isEmpty(extra) ? entity : _.assign({}, entity, extra);
+        };
+        const data = this._data[cfg.name];
+        if (cfg.single) {
+          this._data[cfg.name] = refresh(data) || null;
+        } else if (_.isArray(data)) {
+          this._data[cfg.name] = _.compact(data.map(refresh));
+        } else if (_.isPlainObject(data)) {
+          this._data[cfg.name] = _.omit(_.mapValues(data, refresh), _.isUndefined);
+        }
+      });
+      this.forceUpdate();
+    },
+
+    /**
+     * Replaces the `{name}_meta` object by a copy with the changes returned by
+     * the `getChanges(meta)` function.
+     * @param  {string}   name       The name of the query
+     * @param  {function} getChanges Receives the current meta object
+     */
+    _setMeta(name, getChanges) {
+      const meta = this._data[name + '_meta'];
+      this._data[name + '_meta'] = _.assign({}, meta, getChanges(meta));
+    },
+
+    /**
+     * Gets the client used by the queries: the `client` option, the one given
+     * by `ClientProvider` or the global config.
+     * @return {Config} The client
+     */
+    _getClient() {
+      return options.client || this.context.loopbackClient || config;
+    },
+
+    /**
+     * Gets the store of the client, where the records are normalized.
+     * @return {Store} The store
+     */
+    _getStore() {
+      return this._getClient().getStore();
+    },
+
+    /**
+     * Re-renders the component, unless it was unmounted meanwhile.
+     */
+    _update() {
+      if (!this._unmounted) {
+        this.forceUpdate();
+      }
+    },
+
+    /**
+     * Tells whether a query is being loaded, or waiting to start a load.
+     * Background refreshes are not counted.
+     * @param  {string}  name The name of the query
+     * @return {boolean}      Whether it is loading
+     */
+    _isLoading(name) {
+      return this._data[name + '_meta'].loading || this._queries[name].waiting.length > 0;
+    },
+
+    /**
+     * Gets the errors of the queries whose last load failed, and that are
+     * not being loaded again.
+     * @return {object} Maps query names to their errors, or null when none
+     *                  failed
+     */
+    _getErrors() {
+      const errors = _(this._queries)
+        .keys()
+        .filter(name => this._data[name + '_meta'].error && !this._isLoading(name))
+        .map(name => [name, this._data[name + '_meta'].error])
+        .zipObject()
+        .value();
+      return _.isEmpty(errors) ? null : errors;
+    },
+
+    /**
+     * Tells whether the wrapped component is rendered, according to the
+     * `renderWhen` option. Queries that were never requested to load, like
+     * the ones with `autoLoad: false`, are not waited for.
+     * @param  {object}  props The props of the wrapped component
+     * @return {boolean}       Whether it is rendered
+     */
+    _isReady(props) {
+      if (!renderWhen) {
+        return true;
+      }
+      if (typeof renderWhen === 'function') {
+        return !!renderWhen(props);
+      }
+      const loaded = _.keys(this._queries).filter(name => this._data[name + '_meta'].lastLoadedAt !== null);
+      const waited = _.keys(this._queries).filter(name => this._isLoading(name) || this._data[name + '_meta'].error);
+      if (renderWhen === 'anyLoaded') {
+        return loaded.length > 0 || waited.length === 0;
+      }
+      return _.difference(waited, loaded).length === 0;
+    },
+
+    /**
+     * Loads again the queries whose last load failed. Passed as `retry` to
+     * the `errorComponent`.
+     * @return {Promise} Resolves when the loads finish
+     */
+    _retry() {
+      return Promise.all(_.keys(this._getErrors()).map(name => this.load(name)));
     },
 
     render() {
+      const errors = this._getErrors();
+      const props = {
+        ...this.props,
+        ...this._data,
+        dataloader_loading: _.some(_.keys(this._queries), name => this._isLoading(name)),
+        dataloader_errors: errors
+      };
+
+      if (!this._isReady(props)) {
+        const { loadingComponent: Loading, errorComponent: Failure } = options;
+        if (errors && Failure && !props.dataloader_loading) {
+          return <Failure {...this.props} error={_.values(errors)[0]} errors={errors} retry={this._retry} />;
+        }
+        return Loading ? <Loading {...this.props} /> : null;
+      }
+
       return (
         <Component
           ref="component"
           dataloader={this}
-          {...this.props}
-          {...this._data}
+          {...props}
         />
       );
     }
@@ -319,7 +1775,9 @@ export function createDataLoader(Component, options = {}) {
   const { extendMethods = [] } = options;
   extendMethods.forEach(methodName => {
     spec[methodName] = function (...args) {
-      return this.refs.component[methodName](...args);
+      // the loading and error components are rendered in place of Component
+      const { component } = this.refs;
+      return component ? component[methodName](...args) : undefined;
     };
   });
 
@@ -0,0 +1,39 @@
+import _ from 'lodash';
+
+/**
+ * Minimal event emitter
+ */
+export default class EventEmitter {
+  constructor() {
+    this._handlers = {};
+  }
+
+  /**
+   * Registers a handler for the event.
+   * @param  {string}   event   The event name
+   * @param  {function} handler The function called when event is emitted
+   * @return {function}         A function that removes the handler
+   */
+  on(event, handler) {
+    this._handlers[event] = (this._handlers[event] || []).concat([ handler ]);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Removes a handler previously registered.
+   * @param  {string}   event   The event name
+   * @param  {function} handler The registered function
+   */
+  off(event, handler) {
+    this._handlers[event] = _.without(this._handlers[event], handler);
+  }
+
+  /**
+   * Calls every handler registered for the event with the remaining
+   * arguments.
+   * @param  {string} event The event name
+   */
+  emit(event, ...args) {
+    (this._handlers[event] || []).forEach(handler => handler(...args));
+  }
+}
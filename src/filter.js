@@ -0,0 +1,441 @@
+import _ from 'lodash';
+
+// properties of filters and of include scopes
+const filterKeys = [ 'where', 'fields', 'include', 'order', 'limit', 'skip', 'offset' ];
+const operators = [
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'inq', 'nin', 'near',
+  'maxDistance', 'unit', 'like', 'nlike', 'ilike', 'nilike', 'options',
+  'regexp', 'exists', 'and', 'or'
+];
+const orderPattern = /^[\w$]+(\.[\w$]+)*(\s+(ASC|DESC))?$/i;
+
+/**
+ * Builds LoopBack filters with chained calls. Conditions joined by `and` bind
+ * tighter than the ones joined by `or`:
+ *
+ * ```javascript
+ * where('status').eq('open').and('due').lt(date)
+ *   .or('priority').gte(3)
+ *   .order('due DESC')
+ *   .limit(20)
+ *   .fields('id', 'title', 'due')
+ *   .include('owner', q => q.fields('id', 'name'))
+ * ```
+ *
+ * Builders can be passed as `filter` of queries and `api` functions, or
+ * turned into the filter object by `build`.
+ */
+export class FilterBuilder {
+  constructor() {
+    this._groups = [ [] ];
+    this._field = null;
+    this._filter = {};
+  }
+
+  /**
+   * Starts a condition on a field, joined to the previous ones by `and`. An
+   * object is merged as is into the conditions.
+   * @param  {string|object} field The field name or a where object
+   * @return {FilterBuilder}       The builder
+   */
+  where(field) {
+    if (_.isPlainObject(field)) {
+      _.last(this._groups).push(field);
+      return this;
+    }
+    this._field = field;
+    return this;
+  }
+
+  /**
+   * Same as `where`.
+   * @param  {string|object} field The field name or a where object
+   * @return {FilterBuilder}       The builder
+   */
+  and(field) {
+    return this.where(field);
+  }
+
+  /**
+   * Starts a condition on a field, joined to the previous ones by `or`.
+   * @param  {string|object} field The field name or a where object
+   * @return {FilterBuilder}       The builder
+   */
+  or(field) {
+    if (_.last(this._groups).length) {
+      this._groups.push([]);
+    }
+    return this.where(field);
+  }
+
+  _condition(operator, value) {
+    if (!this._field) {
+      throw new Error('Call where, and or or before ' + operator);
+    }
+    const condition = {};
+    condition[this._field] = operator === 'eq' ? value : _.zipObject([ [ operator, value ] ]);
+    _.last(this._groups).push(condition);
+    this._field = null;
+    return this;
+  }
+
+  // operators of the condition started by where, and or or
+  eq(value) { return this._condition('eq', value); }
+  neq(value) { return this._condition('neq', value); }
+  gt(value) { return this._condition('gt', value); }
+  gte(value) { return this._condition('gte', value); }
+  lt(value) { return this._condition('lt', value); }
+  lte(value) { return this._condition('lte', value); }
+  between(from, to) { return this._condition('between', [ from, to ]); }
+  inq(values) { return this._condition('inq', values); }
+  nin(values) { return this._condition('nin', values); }
+  near(point) { return this._condition('near', point); }
+  like(pattern) { return this._condition('like', pattern); }
+  nlike(pattern) { return this._condition('nlike', pattern); }
+  ilike(pattern) { return this._condition('ilike', pattern); }
+  nilike(pattern) { return this._condition('nilike', pattern); }
+  regexp(pattern) { return this._condition('regexp', pattern); }
+  exists(value = true) { return this._condition('exists', value); }
+
+  /**
+   * Adds sort orders, like `'due DESC'`.
+   * @param  {...string} orders The orders
+   * @return {FilterBuilder}    The builder
+   */
+  order(...orders) {
+    this._filter.order = (this._filter.order || []).concat(_.flatten(orders));
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of records.
+   * @param  {number}        limit The limit
+   * @return {FilterBuilder}       The builder
+   */
+  limit(limit) {
+    this._filter.limit = limit;
+    return this;
+  }
+
+  /**
+   * Sets the number of records to skip.
+   * @param  {number}        skip The number of records
+   * @return {FilterBuilder}      The builder
+   */
+  skip(skip) {
+    this._filter.skip = skip;
+    return this;
+  }
+
+  /**
+   * Selects the fields of the records.
+   * @param  {...string} fields The field names
+   * @return {FilterBuilder}    The builder
+   */
+  fields(...fields) {
+    const names = _.flatten(fields);
+    this._filter.fields = _.assign({}, this._filter.fields, _.zipObject(names, names.map(() => true)));
+    return this;
+  }
+
+  /**
+   * Includes a relation, optionally with a scope built by `scope` function,
+   * which receives a new builder.
+   * @param  {string}        relation The relation name
+   * @param  {function}      scope    Receives a builder and returns it
+   * @return {FilterBuilder}          The builder
+   */
+  include(relation, scope) {
+    const include = scope ? { relation, scope: toFilter(scope(new FilterBuilder())) } : relation;
+    this._filter.include = (this._filter.include || []).concat([ include ]);
+    return this;
+  }
+
+  /**
+   * Builds the filter object.
+   * @return {object} The filter
+   */
+  build() {
+    const groups = this._groups.filter(group => group.length).map(mergeConditions);
+    const filter = _.clone(this._filter);
+    if (groups.length === 1) {
+      filter.where = groups[0];
+    } else if (groups.length > 1) {
+      filter.where = { or: groups };
+    }
+    if (filter.order && filter.order.length === 1) {
+      filter.order = filter.order[0];
+    }
+    if (filter.include && filter.include.length === 1) {
+      filter.include = filter.include[0];
+    }
+    return filter;
+  }
+
+  /**
+   * Builds the filter object when the builder is serialized to JSON.
+   * @return {object} The filter
+   */
+  toJSON() {
+    return this.build();
+  }
+}
+
+// joins conditions by and, merging the ones on different fields
+function mergeConditions(conditions) {
+  const keys = _.flatten(conditions.map(_.keys));
+  if (_.uniq(keys).length === keys.length) {
+    return _.assign({}, ...conditions);
+  }
+  return { and: conditions };
+}
+
+/**
+ * Starts a filter builder with a condition on a field.
+ * @param  {string|object} field The field name or a where object
+ * @return {FilterBuilder}       The builder
+ */
+export function where(field) {
+  return new FilterBuilder().where(field);
+}
+
+/**
+ * Starts a filter builder without conditions.
+ * @return {FilterBuilder} The builder
+ */
+export function filter() {
+  return new FilterBuilder();
+}
+
+/**
+ * Turns a builder into its filter object. Other values are returned as is.
+ * @param  {any} value A filter or builder
+ * @return {any}       The filter
+ */
+export function toFilter(value) {
+  return value instanceof FilterBuilder ? value.build() : value;
+}
+
+// edit distance, used to suggest the intended name of a misspelled one
+function distance(a, b) {
+  let previous = _.range(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [ i ];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function unknown(kind, name, path, known) {
+  const guess = _.min(known, candidate => distance(name.toLowerCase(), candidate.toLowerCase()));
+  const hint = distance(name.toLowerCase(), guess.toLowerCase()) <= 2 ? '. Did you mean \'' + guess + '\'?' : '';
+  return 'Unknown ' + kind + ' \'' + name + '\' on ' + path + hint;
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+function isCount(value) {
+  return typeof value === 'number' && value >= 0 && value % 1 === 0 ||
+    typeof value === 'string' && /^\d+$/.test(value);
+}
+
+function validateWhere(where, path, errors) {
+  if (!_.isPlainObject(where)) {
+    errors.push(path + ' must be an object, got ' + describe(where));
+    return;
+  }
+  _.forEach(where, (value, key) => {
+    if (key === 'and' || key === 'or') {
+      if (!_.isArray(value)) {
+        errors.push(path + '.' + key + ' must be an array of where objects, got ' + describe(value));
+      } else {
+        value.forEach((item, index) => validateWhere(item, path + '.' + key + '[' + index + ']', errors));
+      }
+      return;
+    }
+    if (!_.isPlainObject(value)) {
+      return;
+    }
+    _.forEach(value, (operand, operator) => {
+      const at = path + '.' + key;
+      if (!_.includes(operators, operator)) {
+        errors.push(unknown('operator', operator, at, operators));
+      } else if ((operator === 'inq' || operator === 'nin') && !_.isArray(operand)) {
+        errors.push(at + '.' + operator + ' must be an array, got ' + describe(operand));
+      } else if (operator === 'between' && !(_.isArray(operand) && operand.length === 2)) {
+        errors.push(at + '.between must be an array of 2 values, got ' + describe(operand));
+      }
+    });
+  });
+}
+
+function validateOrder(order, path, errors) {
+  const orders = _.isArray(order) ? order : [ order ];
+  if (!orders.every(item => typeof item === 'string' && orderPattern.test(item.trim()))) {
+    errors.push(path + ' must be a string like \'name ASC\' or an array of them, got ' + describe(order));
+  }
+}
+
+function validateFields(fields, path, errors) {
+  const valid = _.isArray(fields) ?
+    fields.every(_.isString) :
+    _.isPlainObject(fields) && _.every(fields, _.isBoolean);
+  if (!valid) {
+    errors.push(path + ' must be an array of field names or an object like {name: true}, got ' +
+      describe(fields));
+  }
+}
+
+function validateInclude(include, path, errors) {
+  if (typeof include === 'string') {
+    return;
+  }
+  if (_.isArray(include)) {
+    include.forEach((item, index) => validateInclude(item, path + '[' + index + ']', errors));
+    return;
+  }
+  if (!_.isPlainObject(include)) {
+    errors.push(path + ' must be a relation name, an array or an object, got ' + describe(include));
+    return;
+  }
+  if (include.relation !== undefined) {
+    if (typeof include.relation !== 'string') {
+      errors.push(path + '.relation must be a relation name, got ' + describe(include.relation));
+    }
+    _.forEach(include, (value, key) => {
+      if (key !== 'relation' && key !== 'scope') {
+        errors.push(unknown('include property', key, path, [ 'relation', 'scope' ]));
+      }
+    });
+    if (include.scope !== undefined) {
+      validate(include.scope, path + '.scope', errors);
+    }
+    return;
+  }
+  // {relation: nestedInclude}
+  _.forEach(include, (nested, relation) => validateInclude(nested, path + '.' + relation, errors));
+}
+
+function validate(filter, path, errors) {
+  if (!_.isPlainObject(filter)) {
+    errors.push(path + ' must be an object, got ' + describe(filter));
+    return;
+  }
+  _.forEach(filter, (value, key) => {
+    if (!_.includes(filterKeys, key)) {
+      errors.push(unknown('filter property', key, path, filterKeys));
+    } else if (key === 'where') {
+      validateWhere(value, path + '.where', errors);
+    } else if (key === 'order') {
+      validateOrder(value, path + '.order', errors);
+    } else if (key === 'fields') {
+      validateFields(value, path + '.fields', errors);
+    } else if (key === 'include') {
+      validateInclude(value, path + '.include', errors);
+    } else if (!isCount(value)) {
+      errors.push(path + '.' + key + ' must be a non-negative integer, got ' + describe(value));
+    }
+  });
+}
+
+/**
+ * Checks a filter object against LoopBack filter syntax: its properties,
+ * where operators (`inq` and `nin` take arrays, `between` takes 2 values),
+ * `order` strings, `fields`, `limit`/`skip`, and nested `include` scopes.
+ * @param  {object} filter The filter or builder
+ * @return {array}         The error messages, empty when it is valid
+ */
+export function validateFilter(filter) {
+  const errors = [];
+  validate(toFilter(filter), 'filter', errors);
+  return errors;
+}
+
+function isEqualValue(value, expected) {
+  if (value === undefined || value === null || expected === null) {
+    return value === expected || (value === undefined && expected === null);
+  }
+  return String(value) === String(expected);
+}
+
+function likeToRegExp(pattern, flags) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp('^' + source + '$', flags);
+}
+
+const matchers = {
+  neq: (value, expected) => !isEqualValue(value, expected),
+  gt: (value, expected) => value > expected,
+  gte: (value, expected) => value >= expected,
+  lt: (value, expected) => value < expected,
+  lte: (value, expected) => value <= expected,
+  between: (value, [ min, max ]) => value >= min && value <= max,
+  inq: (value, list) => _.some(list, item => isEqualValue(value, item)),
+  nin: (value, list) => !_.some(list, item => isEqualValue(value, item)),
+  like: (value, pattern) => likeToRegExp(pattern).test(value),
+  nlike: (value, pattern) => !likeToRegExp(pattern).test(value),
+  ilike: (value, pattern) => likeToRegExp(pattern, 'i').test(value),
+  nilike: (value, pattern) => !likeToRegExp(pattern, 'i').test(value),
+  exists: (value, expected) => (value !== undefined && value !== null) === !!expected
+};
+
+/**
+ * Tells whether a record matches a LoopBack `where` filter, like the server
+ * does. Used to apply changes to filtered data.
+ * @param  {object}  record The record
+ * @param  {object}  where  The where filter
+ * @return {boolean}        Whether it matches
+ */
+export function matchWhere(record, where) {
+  return _.every(where, (condition, key) => {
+    if (key === 'and') {
+      return _.every(condition, sub => matchWhere(record, sub));
+    }
+    if (key === 'or') {
+      return _.some(condition, sub => matchWhere(record, sub));
+    }
+
+    const value = record[key];
+    const ops = _.isPlainObject(condition) && _.keys(condition).filter(op => matchers[op]);
+    if (ops && ops.length) {
+      return _.every(ops, op => matchers[op](value, condition[op]));
+    }
+    if (_.isArray(value) && !_.isArray(condition)) {
+      return _.some(value, item => isEqualValue(item, condition));
+    }
+    return isEqualValue(value, condition);
+  });
+}
+
+const warned = {};
+
+/**
+ * In development mode (when `process.env.NODE_ENV` is not 'production'),
+ * reports the errors of a filter on the console, once per message.
+ * @param {object} filter   The filter
+ * @param {string} endpoint The endpoint, shown on the messages
+ */
+export function warnInvalidFilter(filter, endpoint) {
+  if (typeof process !== 'undefined' && process.env.NODE_ENV === 'production') {
+    return;
+  }
+  validateFilter(filter).forEach(error => {
+    const message = 'react-loopback: Invalid filter of ' + endpoint + ': ' + error;
+    if (!warned[message] && typeof console !== 'undefined') {
+      warned[message] = true;
+      console.error(message); // eslint-disable-line no-console
+    }
+  });
+}
@@ -1,2 +1,14 @@
+import * as api from './api';
+
 export * from './createDataLoader';
 export { default as config } from './config';
+export { default as store } from './store';
+export { default as cache, localStorageAdapter, indexedDBAdapter } from './cache';
+export { invalidate } from './registry';
+export { filter, where, validateFilter, FilterBuilder } from './filter';
+export { createOfflineQueue } from './offline';
+export { default as auth, Auth } from './auth';
+export { hydrate } from './ssr';
+export { createClient } from './client';
+export { api };
+export { ClientProvider } from './ClientProvider';
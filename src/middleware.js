@@ -0,0 +1,65 @@
+import _ from 'lodash';
+import EventEmitter from './events';
+
+/**
+ * Events emitted by requests:
+ *
+ * - `unauthorized` → When LoopBack responds with 401 status
+ */
+export const events = new EventEmitter();
+
+/**
+ * Built-in middleware that sends the access token (from `access_token` config
+ * key) on the Authorization header.
+ * @param  {object}   req  The request
+ * @param  {function} next Sends the request to the next middleware
+ * @return {Promise}       Resolves with the response
+ */
+export function accessToken(req, next) {
+  if (!req.accessToken) {
+    return next(req);
+  }
+  return next({
+    ...req,
+    headers: _.assign({}, req.headers, { 'Authorization': req.accessToken })
+  });
+}
+
+/**
+ * Built-in middleware that rejects the responses whose status is not ok, and
+ * emits the `unauthorized` event on 401 status. When an access token was sent,
+ * the client also emits `tokenExpired`.
+ * @param  {object}   req  The request
+ * @param  {function} next Sends the request to the next middleware
+ * @return {Promise}       Resolves with the response
+ */
+export function checkStatus(req, next) {
+  return next(req).then(res => {
+    if (res.status === 401) {
+      const info = { url: req.url, method: req.method, response: res };
+      events.emit('unauthorized', { ...info, client: req.client });
+      if (req.accessToken && req.client) {
+        req.client.emit('tokenExpired', info);
+      }
+    }
+    if (!res.ok) {
+      throw createError(res);
+    }
+    return res;
+  });
+}
+
+/**
+ * Creates the error for a response whose status is not ok. Besides the
+ * message, the error has the HTTP `status` and the error object sent by
+ * LoopBack on `details` (with `name`, `message` and, for ValidationError,
+ * `details.messages`), when present.
+ * @param  {object} res The response
+ * @return {Error}      The error
+ */
+export function createError(res) {
+  const error = new Error(res.statusText);
+  error.status = res.status;
+  error.details = res.body && res.body.error || null;
+  return error;
+}
@@ -0,0 +1,185 @@
+import _ from 'lodash';
+import config from './config';
+import EventEmitter from './events';
+import { normalizeError } from './api';
+import { invalidate, modelOf } from './registry';
+import { request } from './request';
+import { isOffline } from './util';
+
+const STORAGE_KEY = 'react-loopback:offline';
+
+/**
+ * Keeps the writes made while offline on localStorage, and sends them, in
+ * order, when the connection comes back. Created by `createOfflineQueue`.
+ *
+ * Events:
+ *
+ * - `queued` → When a write is queued. Receives the write
+ * - `replayed` → When a queued write succeeds. Receives `{write, response}`
+ * - `conflict` → When LoopBack rejects a queued write with a 4xx status, like
+ *   409 when the record changed or 422 when it is no longer valid. The write
+ *   is dropped. Receives `{write, error}`
+ * - `unauthorized` → When a queued write fails with 401 or 403 status. The
+ *   replay stops and the writes are kept, to be replayed after a new login.
+ *   Receives `{write, error}`
+ */
+export class OfflineQueue extends EventEmitter {
+  constructor({ client = config, key = STORAGE_KEY, storage } = {}) {
+    super();
+    this._client = client;
+    this._key = key;
+    this._storage = storage || (typeof window !== 'undefined' ? window.localStorage : null);
+    this._writes = this._read();
+    this._pending = {};
+    this._replaying = null;
+    this._onOnline = () => this.replay();
+  }
+
+  _read() {
+    const saved = this._storage && this._storage.getItem(this._key);
+    return saved ? JSON.parse(saved) : [];
+  }
+
+  _save() {
+    if (this._storage) {
+      this._storage.setItem(this._key, JSON.stringify(this._writes));
+    }
+  }
+
+  /**
+   * Gets the queued writes.
+   * @return {array} The `{id, endpoint, method, url, body, queuedAt}` writes
+   */
+  writes() {
+    return this._writes;
+  }
+
+  /**
+   * Queues a write.
+   * @param  {string}  endpoint Name of the route, whose model is invalidated
+   *                            when the write succeeds
+   * @param  {object}  req      The `method`, `url` and `body` of the write
+   * @return {Promise}          Resolves with the parsed response when the
+   *                            write is replayed, or rejects with the error
+   *                            of a conflict. Writes queued before a page
+   *                            reload are only reported by events
+   */
+  enqueue(endpoint, { method, url, body }) {
+    const write = {
+      id: _.uniqueId(Date.now() + '-'),
+      endpoint,
+      method,
+      url,
+      body,
+      queuedAt: Date.now()
+    };
+    this._writes = this._writes.concat([ write ]);
+    this._save();
+    this.emit('queued', write);
+    return new Promise((resolve, reject) => {
+      this._pending[write.id] = { resolve, reject };
+    });
+  }
+
+  _settle(write, method, value) {
+    this._writes = _.without(this._writes, write);
+    this._save();
+    const pending = this._pending[write.id];
+    delete this._pending[write.id];
+    if (pending) {
+      pending[method](value);
+    }
+  }
+
+  /**
+   * Sends the queued writes, one at a time and in order. Replay stops on
+   * network errors, 5xx, 408 and 429 status, and on 401 and 403 status
+   * (reported by the `unauthorized` event), keeping the remaining writes for
+   * the next replay. Writes rejected with other status are dropped and
+   * reported by the `conflict` event.
+   * @return {Promise} Resolves when the replay stops
+   */
+  replay() {
+    if (this._replaying) {
+      return this._replaying;
+    }
+
+    const next = () => {
+      const write = this._writes[0];
+      if (!write || isOffline()) {
+        return null;
+      }
+      const { method, url, body } = write;
+      return request(url, { method, body, client: this._client }).then(
+        response => {
+          this._settle(write, 'resolve', response);
+          invalidate(modelOf(write.endpoint), this._client);
+          this.emit('replayed', { write, response });
+          return next();
+        },
+        err => {
+          const error = normalizeError(err);
+          if (!error.status || error.status >= 500 || _.includes([ 408, 429 ], error.status)) {
+            return null;
+          }
+          if (_.includes([ 401, 403 ], error.status)) {
+            this.emit('unauthorized', { write, error });
+            return null;
+          }
+          this._settle(write, 'reject', error);
+          this.emit('conflict', { write, error });
+          return next();
+        }
+      );
+    };
+
+    const done = () => {
+      this._replaying = null;
+    };
+    this._replaying = Promise.resolve().then(next);
+    this._replaying.then(done, done);
+    return this._replaying;
+  }
+
+  /**
+   * Replays the queue now, when online, and whenever the browser goes back
+   * online.
+   */
+  start() {
+    window.addEventListener('online', this._onOnline);
+    if (!isOffline()) {
+      this.replay();
+    }
+  }
+
+  /**
+   * Stops replaying the queue when the browser goes back online.
+   */
+  stop() {
+    window.removeEventListener('online', this._onOnline);
+  }
+}
+
+/**
+ * Creates a queue for the writes of a client made while offline, and starts
+ * it. Writes made by the library (`DataLoader` and `api` write methods) are
+ * queued when the browser is offline or the request fails with a network
+ * error; their promises settle when the write is replayed. Query middleware
+ * is not used on replay.
+ *
+ * ```javascript
+ * const queue = createOfflineQueue();
+ * queue.on('conflict', ({ write, error }) => alert('Not saved: ' + error.message));
+ * ```
+ *
+ * @param  {object}       options The `client` (defaults to global config) and
+ *                                the localStorage `key`
+ * @return {OfflineQueue}         The queue, kept on `offlineQueue` key of the
+ *                                client
+ */
+export function createOfflineQueue(options = {}) {
+  const queue = new OfflineQueue(options);
+  (options.client || config).set('offlineQueue', queue);
+  queue.start();
+  return queue;
+}
@@ -0,0 +1,92 @@
+import _ from 'lodash';
+import cache from './cache';
+import { getBaseUrl } from './request';
+
+/**
+ * Gets the model of an endpoint: its last part that is not an id or a
+ * placeholder, like `tasks` for `users/:userId/tasks`.
+ * @param  {string} endpoint Name of the route
+ * @return {string}          The model name
+ */
+export function modelOf(endpoint) {
+  return _.findLast(endpoint.split('/'), part => part && !/^(\d+|:\w+)$/.test(part));
+}
+
+/**
+ * Keeps the queries of mounted DataLoaders, indexed by model and tags, so
+ * they can be loaded again when their data changes.
+ */
+export class Registry {
+  constructor() {
+    this._index = {};
+  }
+
+  /**
+   * Registers a query under its model and each of its tags.
+   * @param  {object}   query The `model`, the `tags` array, the `client` that
+   *                          sends its requests and the `refetch` function,
+   *                          that loads the query again with its current
+   *                          params
+   * @return {function}       A function that unregisters the query
+   */
+  register(query) {
+    const keys = _.uniq([ query.model ].concat(query.tags || []));
+    keys.forEach(key => {
+      this._index[key] = (this._index[key] || []).concat([ query ]);
+    });
+    return () => {
+      keys.forEach(key => {
+        this._index[key] = _.without(this._index[key], query);
+        if (!this._index[key].length) {
+          delete this._index[key];
+        }
+      });
+    };
+  }
+
+  /**
+   * Gets the queries registered under a model or tag.
+   * @param  {string} modelOrTag The model name or tag
+   * @return {array}             The queries
+   */
+  get(modelOrTag) {
+    return this._index[modelOrTag] || [];
+  }
+
+  /**
+   * Marks the cached responses of a model or tag as stale, and loads again
+   * the mounted queries registered under it.
+   * @param  {string} modelOrTag The model name or tag
+   * @param  {Config} client     (Optional) Only the queries of this client,
+   *                             and the responses of its base URL, are
+   *                             invalidated
+   */
+  invalidate(modelOrTag, client) {
+    cache.invalidate(modelOrTag, client ? getBaseUrl(client) : '');
+    this.get(modelOrTag)
+      .filter(query => !client || query.client === client)
+      .forEach(query => query.refetch());
+  }
+}
+
+const registry = new Registry();
+
+/**
+ * Marks the cached responses of a model or tag as stale, and loads again the
+ * mounted queries of that model or with that tag, with their current params.
+ * When a client is given, only its queries and cached responses are
+ * invalidated. Writes made by the library invalidate the model of their
+ * endpoint on their client.
+ *
+ * ```javascript
+ * fetch('/api/todos', { method: 'POST', body }).then(() => invalidate('todos'));
+ * ```
+ *
+ * @param {string} modelOrTag The model name or tag
+ * @param {Config} client     (Optional) The client
+ */
+export function invalidate(modelOrTag, client) {
+  registry.invalidate(modelOrTag, client);
+}
+
+export default registry;
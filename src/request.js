@@ -0,0 +1,333 @@
+/*global AbortController */
+import _ from 'lodash';
+import config from './config';
+
+export { events } from './middleware';
+
+/**
+ * Get baseUrl from config and make sure there is a slash at the end.
+ * @param  {Config} client The client (defaults to global config)
+ * @return {string}        The API base URL
+ */
+export function getBaseUrl(client = config) {
+  let baseUrl = client.get('baseUrl') || '';
+  if (baseUrl.slice(-1) !== '/') {
+    baseUrl += '/';
+  }
+  return baseUrl;
+}
+
+/**
+ * Creates an AbortController, when the environment supports it.
+ * @return {AbortController} The controller or null
+ */
+export function createAbortController() {
+  return typeof AbortController === 'undefined' ? null : new AbortController();
+}
+
+/**
+ * The default retry policy. Requests are only retried when the `retry` key of
+ * client or the `retry` option of the request sets more attempts.
+ */
+export const defaultRetry = {
+  attempts: 1,
+  delay: 1000,
+  maxDelay: 30000,
+  statusCodes: [ 408, 429, 500, 502, 503, 504 ],
+  methods: [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE' ]
+};
+
+/**
+ * Builds a retry policy. A policy can be `false` (no retries), the maximum
+ * number of attempts, or an object with `attempts`, `delay` (of the first
+ * retry, in milliseconds, doubled on each retry), `maxDelay`, `statusCodes`
+ * (the HTTP status codes that are retried) and `methods` (the HTTP verbs
+ * that are retried, as retrying a POST could create a record twice). Network
+ * errors and timeouts are always retried.
+ * @param  {Config} client The client, whose `retry` key is the global policy
+ * @param  {any}    retry  The policy of the request, merged into the global
+ * @return {object}        The policy object
+ */
+export function getRetryPolicy(client = config, retry) {
+  const toObject = policy => {
+    if (policy === false) return { attempts: 1 };
+    if (typeof policy === 'number') return { attempts: policy };
+    return policy;
+  };
+  return _.assign({}, defaultRetry, toObject(client.get('retry')), toObject(retry));
+}
+
+/**
+ * Gets the time to wait before a retry: the exponential backoff, with half of
+ * it randomized so that clients don't retry all at once.
+ * @param  {object} policy  The retry policy
+ * @param  {number} attempt The number of the failed attempt, starting from 1
+ * @return {number}         The delay in milliseconds
+ */
+export function getRetryDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.delay * Math.pow(2, attempt - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+function isRetryable(policy, method, error) {
+  if (error.name === 'AbortError' || !_.includes(policy.methods, method)) {
+    return false;
+  }
+  return !error.status || _.includes(policy.statusCodes, error.status);
+}
+
+function abortError() {
+  const error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Sends a request to LoopBack and parses the JSON response. The request goes
+ * through the middleware set by `config.use`, then the extra middleware, then
+ * the built-in ones (see `config.getMiddleware`). A middleware is a function
+ * `(req, next)` that returns a promise of the response. It can change the
+ * request (`url`, `method`, `headers`, `body`, `signal` and `accessToken`)
+ * before passing it to `next`, and the response (`url`, `status`,
+ * `statusText`, `ok`, `headers` and the parsed `body`) or the error after.
+ * The request also has the `client` that sends it, which emits the `request`,
+ * `success` and `error` events.
+ *
+ * Failed attempts are retried as set by the `retry` policy (see
+ * `getRetryPolicy`), going through the middleware again. Each attempt fails
+ * with a TimeoutError after `timeout` milliseconds (defaults to the `timeout`
+ * key of client; 0 means no timeout).
+ * @param  {string}  url     The full URL
+ * @param  {object}  options The `method`, `body`, `headers` and `signal` (from
+ *                           an AbortController) of the request, an array
+ *                           of extra `middleware`, the `retry` policy, the
+ *                           `timeout` and the `client` (defaults to global
+ *                           config)
+ * @return {Promise}         Resolves with the parsed JSON
+ */
+export function request(url, {
+  method = 'GET',
+  body,
+  headers,
+  signal,
+  middleware = [],
+  retry,
+  timeout,
+  client = config
+} = {}) {
+  const req = {
+    url,
+    method,
+    headers: _.assign(
+      { 'Accept': 'application/json' },
+      body ? { 'Content-Type': 'application/json' } : {},
+      headers
+    ),
+    body,
+    signal,
+    accessToken: client.get('access_token'),
+    client
+  };
+  const chain = client.getMiddleware(middleware);
+
+  function dispatch(index, currentReq) {
+    if (index === chain.length) {
+      return send(currentReq);
+    }
+    return Promise.resolve()
+      .then(() => chain[index](currentReq, nextReq => dispatch(index + 1, nextReq)));
+  }
+
+  const policy = getRetryPolicy(client, retry);
+  if (timeout === undefined) {
+    timeout = client.get('timeout') || 0;
+  }
+
+  function attempt(number) {
+    return withTimeout(attemptReq => dispatch(0, attemptReq), req, timeout)
+      .catch(error => {
+        if (number >= policy.attempts || !isRetryable(policy, method, error)) {
+          throw error;
+        }
+        return wait(getRetryDelay(policy, number), signal).then(() => attempt(number + 1));
+      });
+  }
+
+  client.emit('request', req);
+  return attempt(1).then(
+    res => {
+      client.emit('success', { request: req, response: res });
+      return res.body;
+    },
+    error => {
+      if (error.name !== 'AbortError') {
+        client.emit('error', { request: req, error });
+      }
+      throw error;
+    }
+  );
+}
+
+/**
+ * Waits before a retry, unless the request is aborted.
+ * @param  {number}      ms     Time in milliseconds
+ * @param  {AbortSignal} signal The signal of the request
+ * @return {Promise}            Resolves after the time
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      });
+    }
+  });
+}
+
+/**
+ * Sends an attempt of a request, failing with a TimeoutError when it takes
+ * longer than the timeout. When possible, the attempt is also aborted.
+ * @param  {function} sendAttempt Sends the request
+ * @param  {object}   req         The request
+ * @param  {number}   timeout     Time in milliseconds, or 0
+ * @return {Promise}              Resolves with the response
+ */
+function withTimeout(sendAttempt, req, timeout) {
+  const { signal } = req;
+  if (!timeout) {
+    return sendAttempt(req);
+  }
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError());
+  }
+
+  const controller = createAbortController();
+  const onAbort = () => controller.abort();
+  if (controller && signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('The request timed out after ' + timeout + 'ms');
+      error.name = 'TimeoutError';
+      reject(error);
+      if (controller) controller.abort();
+    }, timeout);
+  });
+  const cleanup = () => {
+    clearTimeout(timer);
+    if (controller && signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  const attemptReq = controller ? { ...req, signal: controller.signal } : req;
+  return Promise.race([ sendAttempt(attemptReq), timedOut ]).then(
+    res => {
+      cleanup();
+      return res;
+    },
+    error => {
+      cleanup();
+      throw error;
+    }
+  );
+}
+
+// GET requests in flight, keyed by URL and headers
+const inFlight = {};
+
+// the headers sorted by name, so the same headers always make the same key
+function headersKey(headers) {
+  return JSON.stringify(_.sortBy(_.pairs(_.omit(headers, _.isUndefined)), 0));
+}
+
+/**
+ * Sends the request with fetch. Identical GET requests (same URL and headers,
+ * as left by middleware) made while one is in flight share its response,
+ * unless `dedupe` key of client is false. The shared request is only aborted
+ * when all its callers abort.
+ * @param  {object}  req The request
+ * @return {Promise}     Resolves with the response
+ */
+function send(req) {
+  const { signal } = req;
+
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError());
+  }
+  if (req.method !== 'GET' || req.client.get('dedupe') === false) {
+    return sendNow(req);
+  }
+
+  const key = req.method + ' ' + req.url + ' ' + headersKey(req.headers);
+  let entry = inFlight[key];
+  if (!entry) {
+    const controller = createAbortController();
+    entry = inFlight[key] = { callers: 0, controller };
+    const done = () => {
+      if (inFlight[key] === entry) delete inFlight[key];
+    };
+    entry.promise = sendNow({ ...req, signal: controller ? controller.signal : undefined });
+    entry.promise.then(done, done);
+  }
+  entry.callers += 1;
+
+  if (!signal) {
+    return entry.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      entry.callers -= 1;
+      if (entry.callers === 0 && entry.controller) {
+        entry.controller.abort();
+        if (inFlight[key] === entry) delete inFlight[key];
+      }
+      reject(abortError());
+    });
+    entry.promise.then(resolve, reject);
+  });
+}
+
+/**
+ * Sends the request with fetch. The body of responses whose status is not ok
+ * is parsed when possible, as LoopBack describes errors on it.
+ * @param  {object}  req The request
+ * @return {Promise}     Resolves with the response
+ */
+function sendNow({ url, method, headers, body, signal }) {
+  return fetch(url, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    signal
+  })
+    .then(response => {
+      let parsed;
+      if (response.status === 204) {
+        parsed = null;
+      } else if (response.ok) {
+        parsed = response.json();
+      } else {
+        parsed = Promise.resolve().then(() => response.json()).catch(() => null);
+      }
+
+      return Promise.resolve(parsed).then(resBody => ({
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        ok: response.ok,
+        headers: response.headers,
+        body: resBody
+      }));
+    });
+}
@@ -0,0 +1,73 @@
+import _ from 'lodash';
+import { renderToString } from 'react-dom/server';
+import { request } from './request';
+import { snapshotKey, withSnapshot } from './ssr';
+
+/**
+ * Resolves the autoLoad queries of all DataLoaders in a render tree, sending
+ * them with the `middleware`, `retry` and `timeout` of each query. The tree
+ * is rendered again while new queries are found (as DataLoaders may only be
+ * rendered after their parents have data), up to `maxPasses` times. Failed
+ * requests, and URLs requested by queries with different options, are left
+ * out of the snapshot, so DataLoaders load them on the client.
+ * @param  {ReactElement} element The root element
+ * @param  {object}       options The `maxPasses` option (defaults to 5)
+ * @return {Promise}              Resolves with the data snapshot
+ */
+export function prefetch(element, { maxPasses = 5 } = {}) {
+  const snapshot = {};
+  const skipped = {};
+
+  function pass(n) {
+    const collected = withSnapshot(snapshot, true, () => renderToString(element));
+    const missing = [];
+    collected.forEach(({ url, client, options }) => {
+      const key = snapshotKey(url, client);
+      if (_.has(snapshot, key) || skipped[key]) {
+        return;
+      }
+      const same = _.find(missing, req => req.key === key);
+      if (!same) {
+        missing.push({ key, url, client, options });
+      } else if (same.client !== client || !_.isEqual(same.options, options)) {
+        // the snapshot keeps a single response by URL
+        skipped[key] = true;
+      }
+    });
+    const requests = missing.filter(({ key }) => !skipped[key]);
+    if (!requests.length || n >= maxPasses) {
+      return Promise.resolve(snapshot);
+    }
+
+    return Promise.all(requests.map(({ key, url, client, options }) => (
+      request(url, { ...options, client }).then(json => snapshot[key] = json, () => skipped[key] = true)
+    ))).then(() => pass(n + 1));
+  }
+
+  return pass(1);
+}
+
+/**
+ * Renders the element to an HTML string, with DataLoaders seeded by the
+ * snapshot.
+ * @param  {ReactElement} element  The root element
+ * @param  {object}       snapshot The snapshot returned by `prefetch`
+ * @return {string}                The HTML
+ */
+export function renderToStringWithData(element, snapshot) {
+  let html;
+  withSnapshot(snapshot, false, () => html = renderToString(element));
+  return html;
+}
+
+/**
+ * Serializes the snapshot so it can be safely placed inside a script tag.
+ * @param  {object} snapshot The snapshot returned by `prefetch`
+ * @return {string}          The JSON string
+ */
+export function serialize(snapshot) {
+  return JSON.stringify(snapshot)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
@@ -0,0 +1,98 @@
+import _ from 'lodash';
+import { getBaseUrl } from './request';
+
+/**
+ * Shared state between server-side prefetching and DataLoaders. Responses are
+ * kept on a snapshot, keyed by URL relative to the base URL, so the server and
+ * the client can use different base URLs.
+ */
+let snapshot = {};
+let collected = null;
+let scoped = false;
+let clearTimer = null;
+
+/**
+ * Gets the key of an URL on the snapshot.
+ * @param  {string} url    The full URL
+ * @param  {Config} client The client that sends the request
+ * @return {string}        The URL without the base URL
+ */
+export function snapshotKey(url, client) {
+  const baseUrl = getBaseUrl(client);
+  return url.indexOf(baseUrl) === 0 ? url.slice(baseUrl.length) : url;
+}
+
+/**
+ * Gets the response of an URL from the current snapshot. On the browser, the
+ * snapshot is only used by the first render, so it is cleared right after it.
+ * @param  {string} url    The full URL
+ * @param  {Config} client The client that sends the request
+ * @return {any}           The parsed response or undefined when not present
+ */
+export function getSnapshotData(url, client) {
+  if (typeof window !== 'undefined' && !scoped && clearTimer === null) {
+    clearTimer = setTimeout(() => {
+      snapshot = {};
+      clearTimer = null;
+    }, 0);
+  }
+  return snapshot[snapshotKey(url, client)];
+}
+
+/**
+ * Whether there is data on the current snapshot.
+ * @return {boolean}
+ */
+export function hasSnapshot() {
+  return !_.isEmpty(snapshot);
+}
+
+/**
+ * Seeds the DataLoaders of the next render with the snapshot created by
+ * `prefetch` on the server.
+ * @param  {object} data The snapshot
+ */
+export function hydrate(data) {
+  snapshot = data || {};
+}
+
+/**
+ * Runs `fn` with the given snapshot as the current one, restoring the
+ * previous snapshot after. While `collect` is true, DataLoaders don't load
+ * their queries: the URLs they need are returned instead.
+ * @param  {object}   data    The snapshot
+ * @param  {boolean}  collect Whether the URLs should be collected
+ * @param  {function} fn      Function that renders synchronously
+ * @return {array}            The collected `{url, client, options}` objects
+ */
+export function withSnapshot(data, collect, fn) {
+  const previous = [ snapshot, collected, scoped ];
+  snapshot = data;
+  collected = collect ? [] : null;
+  scoped = true;
+  try {
+    fn();
+    return collected || [];
+  } finally {
+    [ snapshot, collected, scoped ] = previous;
+  }
+}
+
+/**
+ * Whether DataLoaders are being rendered to collect their URLs.
+ * @return {boolean}
+ */
+export function isCollecting() {
+  return collected !== null;
+}
+
+/**
+ * Registers an URL needed by a DataLoader.
+ * @param  {string} url     The full URL
+ * @param  {Config} client  The client that sends the request
+ * @param  {object} options The `middleware`, `retry` and `timeout` of the
+ *                          query, passed to `request`
+ */
+export function collectUrl(url, client, options = {}) {
+  collected.push({ url, client, options });
+}
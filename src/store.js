@@ -0,0 +1,181 @@
+import _ from 'lodash';
+
+/**
+ * Keeps the records received from LoopBack normalized by model and id.
+ * Relations included in the records (through LoopBack's `include` filter) are
+ * stored as separate entities and linked to their parent, so a change to any
+ * entity reaches every record that includes it. Each client has its own store
+ * (see `Config#getStore`), so records of different servers never mix.
+ */
+export class Store {
+  constructor() {
+    this._entities = {};
+    this._links = {};
+    this._listeners = [];
+  }
+
+  /**
+   * Gets an entity with its relations resolved.
+   * @param  {string} model The model name
+   * @param  {any}    id    The entity id
+   * @return {object}       The entity or undefined when it is not stored
+   */
+  get(model, id) {
+    return this._resolve(model, id, []);
+  }
+
+  /**
+   * Stores the records, merging them into the entities already stored, and
+   * notifies the listeners about the entities that changed. Accepts the
+   * following options:
+   *
+   * ```
+   * {
+   *   id: 'id',       // The name of id field of the records
+   *   relations: {}   // Maps relation names to model names. When a relation
+   * }                 // is not mapped, its name is used as model name.
+   * ```
+   *
+   * @param  {string} model   The model name
+   * @param  {array}  records The records received from LoopBack
+   * @param  {object} options Options object
+   */
+  merge(model, records, options = {}) {
+    const changed = [];
+    this._walk(model, records, options, (entityModel, record, links) => {
+      const id = record[options.id || 'id'];
+      const entities = this._entities[entityModel] = this._entities[entityModel] || {};
+      const allLinks = this._links[entityModel] = this._links[entityModel] || {};
+
+      const entity = _.assign({}, entities[id], _.omit(record, _.keys(links)));
+      const entityLinks = _.assign({}, allLinks[id], links);
+
+      if (!_.isEqual(entity, entities[id]) || !_.isEqual(entityLinks, allLinks[id])) {
+        entities[id] = entity;
+        allLinks[id] = entityLinks;
+        changed.push(Store.key(entityModel, id));
+      }
+    });
+    this._emit(_.uniq(changed));
+  }
+
+  /**
+   * Removes an entity and notifies the listeners.
+   * @param  {string} model The model name
+   * @param  {any}    id    The entity id
+   */
+  remove(model, id) {
+    if (!this._entities[model] || !this._entities[model][id]) {
+      return;
+    }
+    delete this._entities[model][id];
+    delete this._links[model][id];
+    this._emit([ Store.key(model, id) ]);
+  }
+
+  /**
+   * Lists the keys of all entities found in the records, including the
+   * entities of included relations. Receives the same options of `merge`.
+   * @param  {string} model   The model name
+   * @param  {array}  records The records
+   * @param  {object} options Options object
+   * @return {array}          Array of entity keys
+   */
+  keys(model, records, options = {}) {
+    const keys = [];
+    this._walk(model, records, options, (entityModel, record) => {
+      keys.push(Store.key(entityModel, record[options.id || 'id']));
+    });
+    return _.uniq(keys);
+  }
+
+  /**
+   * Registers a listener that will be called with the array of changed entity
+   * keys every time the store changes.
+   * @param  {function} listener The listener function
+   * @return {function}          A function that removes the listener
+   */
+  subscribe(listener) {
+    this._listeners.push(listener);
+    return () => {
+      this._listeners = _.without(this._listeners, listener);
+    };
+  }
+
+  /**
+   * Removes all stored entities.
+   */
+  clear() {
+    this._entities = {};
+    this._links = {};
+  }
+
+  _emit(keys) {
+    if (!keys.length) {
+      return;
+    }
+    this._listeners.slice().forEach(listener => listener(keys));
+  }
+
+  _resolve(model, id, visiting) {
+    const entity = this._entities[model] && this._entities[model][id];
+    const key = Store.key(model, id);
+    if (!entity || visiting.indexOf(key) !== -1) {
+      return entity;
+    }
+
+    const result = _.clone(entity);
+    _.forEach(this._links[model][id], (link, prop) => {
+      const resolve = relId => this._resolve(link.model, relId, visiting.concat([ key ]));
+      if (link.ids) {
+        result[prop] = _.compact(link.ids.map(resolve));
+      } else {
+        result[prop] = resolve(link.id) || null;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Calls `visit(model, record, links)` for every record and for every record
+   * of their included relations.
+   */
+  _walk(model, records, options, visit) {
+    const { id = 'id', relations = {} } = options;
+    const isEntity = value => _.isPlainObject(value) && value[id] !== undefined && value[id] !== null;
+
+    const walkRecord = (recordModel, record) => {
+      const links = {};
+      _.forEach(record, (value, prop) => {
+        const relModel = relations[prop] || prop;
+        if (isEntity(value)) {
+          links[prop] = { model: relModel, id: value[id] };
+          walkRecord(relModel, value);
+        } else if (_.isArray(value) && value.length && _.every(value, isEntity)) {
+          links[prop] = { model: relModel, ids: _.pluck(value, id) };
+          value.forEach(item => walkRecord(relModel, item));
+        }
+      });
+      visit(recordModel, record, links);
+    };
+
+    _.forEach(records, record => {
+      if (isEntity(record)) {
+        walkRecord(model, record);
+      }
+    });
+  }
+
+  /**
+   * Builds the key that identifies an entity.
+   * @param  {string} model The model name
+   * @param  {any}    id    The entity id
+   * @return {string}       The entity key
+   */
+  static key(model, id) {
+    return model + ':' + id;
+  }
+}
+
+// the store of the global config
+export default new Store();
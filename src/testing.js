@@ -0,0 +1,480 @@
+import _ from 'lodash';
+import { matchWhere } from './filter';
+
+export { matchWhere };
+
+/**
+ * Builds the response body of a LoopBack error.
+ */
+function errorBody(status, name, message, details) {
+  return { error: { statusCode: status, name, message, details } };
+}
+
+function notFound(model, id) {
+  return {
+    status: 404,
+    body: errorBody(404, 'Error', 'Unknown "' + model + '" id "' + id + '".')
+  };
+}
+
+/**
+ * Matches a request path against a pattern like `users/:id/greet`.
+ * @return {object} The placeholders values, or null when it doesn't match
+ */
+function matchPath(pattern, path) {
+  const patternParts = pattern.replace(/^\/|\/$/g, '').split('/');
+  const pathParts = path.split('/');
+  if (patternParts.length !== pathParts.length) {
+    return null;
+  }
+  const params = {};
+  const matches = _.every(patternParts, (part, i) => {
+    if (part.charAt(0) === ':') {
+      params[part.slice(1)] = pathParts[i];
+      return true;
+    }
+    return part === pathParts[i];
+  });
+  return matches ? params : null;
+}
+
+/**
+ * Sorts the records by a LoopBack `order` filter, like `'name ASC'` or
+ * `['age DESC', 'name']`.
+ */
+function sortRecords(records, order) {
+  const clauses = (_.isArray(order) ? order : [ order ])
+    .map(clause => String(clause).trim().split(/\s+/));
+  return _.sortByOrder(
+    records,
+    clauses.map(([ key ]) => key),
+    clauses.map(([ , direction = 'ASC' ]) => direction.toUpperCase() !== 'DESC')
+  );
+}
+
+/**
+ * Applies a LoopBack `fields` filter, like `{name: true}` or `['name']`.
+ */
+function pickFields(record, fields) {
+  if (_.isArray(fields)) {
+    return _.pick(record, fields);
+  }
+  const included = _.keys(_.pick(fields, value => value));
+  if (included.length) {
+    return _.pick(record, included);
+  }
+  return _.omit(record, _.keys(fields));
+}
+
+/**
+ * Normalizes the forms of a LoopBack `include` filter (a relation name, an
+ * array, `{relation: include}` or `{relation, scope}`) to an array of
+ * `{relation, scope}` objects.
+ */
+function normalizeInclude(include) {
+  if (!include) {
+    return [];
+  }
+  if (typeof include === 'string') {
+    return [ { relation: include, scope: {} } ];
+  }
+  if (_.isArray(include)) {
+    return _.flatten(include.map(normalizeInclude));
+  }
+  if (include.relation) {
+    return [ { relation: include.relation, scope: include.scope || {} } ];
+  }
+  return _.map(include, (sub, relation) => ({ relation, scope: { include: sub } }));
+}
+
+/**
+ * An in-memory fake of a LoopBack REST API, to be installed as `window.fetch`
+ * on tests. It serves the fixture records of each model, understanding the
+ * `filter` (where, order, limit, skip, fields and include) and `where` query
+ * strings, `count`, `findOne`, `exists` and the CRUD verbs. The options object:
+ *
+ * ```
+ * {
+ *   baseUrl: '/',     // The base URL of requests, as set on config
+ *
+ *   fixtures: {       // The records of each model, by endpoint name
+ *     users: [ {id: 1, name: 'John'} ]
+ *   },
+ *
+ *   relations: {      // The relations of each model, used by include and
+ *     users: {        // `{model}/{id}/{relation}` requests. Types are
+ *       posts: {      // 'hasMany', 'hasOne' and 'belongsTo'
+ *         model: 'posts',
+ *         type: 'hasMany',
+ *         foreignKey: 'userId'
+ *       }
+ *     }
+ *   },
+ *
+ *   latency: 0        // Milliseconds until each response, or a function
+ * }                   // that receives the request and returns them
+ * ```
+ */
+export class MockServer {
+  constructor({ baseUrl = '/', fixtures = {}, relations = {}, latency = 0 } = {}) {
+    this.baseUrl = baseUrl;
+    this.relations = relations;
+    this.latency = latency;
+    this.calls = [];
+    this.pending = 0;
+    this._failures = [];
+    this._remotes = [];
+    this._fetch = null;
+    this.reset(fixtures);
+  }
+
+  /**
+   * Replaces the records of all models.
+   * @param  {object} fixtures The records of each model
+   */
+  reset(fixtures = {}) {
+    this._data = _.mapValues(fixtures, records => _.cloneDeep(records));
+  }
+
+  /**
+   * Gets a copy of the current records of a model.
+   * @param  {string} model The model name
+   * @return {array}        The records
+   */
+  get(model) {
+    return _.cloneDeep(this._data[model] || []);
+  }
+
+  /**
+   * Replaces `window.fetch` by the fake server.
+   * @return {MockServer} The server itself
+   */
+  install() {
+    if (!this._fetch) {
+      this._fetch = { original: window.fetch };
+      window.fetch = (url, init) => this.fetch(url, init);
+    }
+    return this;
+  }
+
+  /**
+   * Restores the `window.fetch` replaced by `install`.
+   */
+  restore() {
+    if (this._fetch) {
+      window.fetch = this._fetch.original;
+      this._fetch = null;
+    }
+  }
+
+  /**
+   * Makes the next requests fail. Accepts the following options:
+   *
+   * ```
+   * {
+   *   method: 'GET',      // (Optional) Only requests with this verb fail
+   *   path: 'users/:id',  // (Optional) Only requests to this path fail
+   *   status: 500,        // The response status
+   *   name: 'Error',      // The error name, message and details sent on body
+   *   message: 'Internal Server Error',
+   *   details: undefined,
+   *   times: 1            // How many requests fail. Infinity fails all
+   * }
+   * ```
+   *
+   * @param  {object} options Options object
+   */
+  fail({ method, path, status = 500, name = 'Error', message = 'Internal Server Error', details, times = 1 } = {}) {
+    this._failures.push({ method, path, status, name, message, details, times });
+  }
+
+  /**
+   * Handles the requests to a custom remote method.
+   * @param  {string}   method  The HTTP verb
+   * @param  {string}   path    The path, like `users/:id/greet`
+   * @param  {function} handler Receives `{params, query, body}`, where params
+   *                            has the path placeholders, and returns the
+   *                            response body. To respond with an error, throw
+   *                            an error with `status` property
+   */
+  remote(method, path, handler) {
+    this._remotes.push({ method: method.toUpperCase(), path, handler });
+  }
+
+  /**
+   * Waits until there are no requests in flight.
+   * @return {Promise} Resolves when all responses were sent
+   */
+  settle() {
+    return waitUntil(() => this.pending === 0, 'The requests did not settle');
+  }
+
+  /**
+   * The fake `fetch` function.
+   * @param  {string}  url  The requested URL
+   * @param  {object}  init The fetch options
+   * @return {Promise}      Resolves with the response
+   */
+  fetch(url, { method = 'GET', body, signal } = {}) {
+    const [ fullPath, queryString = '' ] = url.split('?');
+    let path = fullPath;
+    if (path.indexOf(this.baseUrl) === 0) {
+      path = path.slice(this.baseUrl.length);
+    }
+    path = path.replace(/^\/|\/$/g, '');
+
+    const query = {};
+    queryString.split('&').filter(Boolean).forEach(pair => {
+      const [ key, value = '' ] = pair.split('=');
+      query[decodeURIComponent(key)] = decodeURIComponent(value);
+    });
+
+    const req = {
+      method: method.toUpperCase(),
+      url,
+      path,
+      query,
+      body: body ? JSON.parse(body) : undefined
+    };
+    this.calls.push(req);
+    this.pending += 1;
+
+    const latency = typeof this.latency === 'function' ? this.latency(req) : this.latency;
+
+    return new Promise((resolve, reject) => {
+      let abort = null;
+      const timer = setTimeout(() => {
+        // later aborts of the signal don't affect a sent response
+        if (abort) {
+          signal.removeEventListener('abort', abort);
+        }
+        this.pending -= 1;
+        const { status, body: resBody } = this._respond(req);
+        resolve({
+          ok: status >= 200 && status < 300,
+          status,
+          statusText: status === 200 ? 'OK' : 'Error',
+          headers: { get: () => null },
+          json: () => Promise.resolve(resBody)
+        });
+      }, latency);
+
+      if (signal) {
+        abort = () => {
+          clearTimeout(timer);
+          this.pending -= 1;
+          const error = new Error('The request was aborted');
+          error.name = 'AbortError';
+          reject(error);
+        };
+        if (signal.aborted) {
+          abort();
+        } else {
+          signal.addEventListener('abort', abort);
+        }
+      }
+    });
+  }
+
+  _respond(req) {
+    const failure = _.find(this._failures, ({ method, path }) => (
+      (!method || method.toUpperCase() === req.method) &&
+      (!path || matchPath(path, req.path))
+    ));
+    if (failure) {
+      failure.times -= 1;
+      if (failure.times <= 0) {
+        this._failures = _.without(this._failures, failure);
+      }
+      return {
+        status: failure.status,
+        body: errorBody(failure.status, failure.name, failure.message, failure.details)
+      };
+    }
+
+    try {
+      return this._route(req);
+    } catch (err) {
+      const status = err.status || 500;
+      return { status, body: errorBody(status, err.name, err.message, err.details) };
+    }
+  }
+
+  _route(req) {
+    const { method, path, query } = req;
+    const filter = query.filter ? JSON.parse(query.filter) : {};
+
+    let remote;
+    let remoteParams;
+    _.some(this._remotes, candidate => {
+      remoteParams = candidate.method === method && matchPath(candidate.path, path);
+      remote = remoteParams && candidate;
+      return remote;
+    });
+    if (remote) {
+      return { status: 200, body: remote.handler({ params: remoteParams, query, body: req.body }) };
+    }
+
+    const [ model, id, action ] = path.split('/').map(decodeURIComponent);
+    const ok = body => ({ status: 200, body });
+
+    if (id === undefined) {
+      if (method === 'GET') return ok(this._find(model, filter));
+      if (method === 'POST') return ok(this._create(model, req.body));
+      if (method === 'PUT' || method === 'PATCH') return ok(this._upsert(model, req.body));
+    } else if (id === 'count' && method === 'GET') {
+      const where = query.where ? JSON.parse(query.where) : {};
+      return ok({ count: this._find(model, { where }).length });
+    } else if (id === 'findOne' && method === 'GET') {
+      const record = this._find(model, { ...filter, limit: 1 })[0];
+      return record ? ok(record) : notFound(model, 'findOne');
+    } else if (action === undefined) {
+      const record = this._findById(model, id);
+      if (method === 'GET') {
+        return record ? ok(this._find(model, { ...filter, where: { id } })[0]) : notFound(model, id);
+      }
+      if (method === 'DELETE') {
+        this._data[model] = _.without(this._data[model], record);
+        return ok({ count: record ? 1 : 0 });
+      }
+      if (!record) {
+        return notFound(model, id);
+      }
+      if (method === 'PATCH') return ok(_.cloneDeep(_.assign(record, req.body, { id: record.id })));
+      if (method === 'PUT') return ok(this._replace(model, record, req.body));
+    } else if (action === 'exists' && method === 'GET') {
+      return ok({ exists: !!this._findById(model, id) });
+    } else if (method === 'GET' && this.relations[model] && this.relations[model][action]) {
+      const record = this._findById(model, id);
+      return record ? ok(this._related(model, record, action, filter)) : notFound(model, id);
+    }
+
+    const error = new Error('Shared class "' + model + '" has no method handling ' + method + ' /' + path);
+    error.status = 404;
+    throw error;
+  }
+
+  _findById(model, id) {
+    return _.find(this._data[model], record => matchWhere(record, { id }));
+  }
+
+  _find(model, { where, order, limit, skip = 0, offset, fields, include } = {}) {
+    let records = (this._data[model] || []).filter(record => matchWhere(record, where || {}));
+    if (order) {
+      records = sortRecords(records, order);
+    }
+    skip = offset || skip;
+    records = records.slice(skip, limit ? skip + limit : undefined);
+
+    return records.map(record => {
+      let result = _.cloneDeep(record);
+      normalizeInclude(include).forEach(({ relation, scope }) => {
+        result[relation] = this._related(model, record, relation, scope);
+      });
+      if (fields) {
+        result = pickFields(result, fields);
+      }
+      return result;
+    });
+  }
+
+  _related(model, record, relation, scope = {}) {
+    const definition = this.relations[model] && this.relations[model][relation];
+    if (!definition) {
+      const error = new Error('Relation "' + relation + '" is not defined for ' + model + ' model');
+      error.status = 400;
+      throw error;
+    }
+
+    const { model: relModel, type, foreignKey } = definition;
+    const key = type === 'belongsTo' ?
+      { id: record[foreignKey] } :
+      { [foreignKey]: record.id };
+    const where = scope.where ? { and: [ key, scope.where ] } : key;
+    const related = this._find(relModel, { ...scope, where });
+
+    return type === 'hasMany' ? related : related[0] || null;
+  }
+
+  _create(model, body) {
+    const records = this._data[model] = this._data[model] || [];
+    const ids = _.pluck(records, 'id').filter(_.isNumber);
+    const record = { ...body };
+    if (record.id === undefined || record.id === null) {
+      record.id = ids.length ? _.max(ids) + 1 : 1;
+    }
+    records.push(record);
+    return _.cloneDeep(record);
+  }
+
+  _upsert(model, body) {
+    const record = body.id !== undefined && this._findById(model, body.id);
+    return record ? this._replace(model, record, body) : this._create(model, body);
+  }
+
+  _replace(model, record, body) {
+    const replaced = { ...body, id: record.id };
+    this._data[model] = this._data[model].map(item => item === record ? replaced : item);
+    return _.cloneDeep(replaced);
+  }
+}
+
+/**
+ * Creates an in-memory fake of a LoopBack REST API. See `MockServer`.
+ *
+ * ```javascript
+ * const server = createMockServer({ fixtures: { users: [ {id: 1} ] } }).install();
+ * // ...
+ * server.restore();
+ * ```
+ *
+ * @param  {object}     options Options object
+ * @return {MockServer}         The server
+ */
+export function createMockServer(options) {
+  return new MockServer(options);
+}
+
+/**
+ * Resolves when `check` returns true, checking it every few milliseconds.
+ */
+function waitUntil(check, message, timeout = 2000) {
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) {
+        resolve();
+      } else if (Date.now() - startedAt > timeout) {
+        reject(new Error(message + ' in ' + timeout + 'ms'));
+      } else {
+        setTimeout(poll, 5);
+      }
+    };
+    poll();
+  });
+}
+
+/**
+ * Waits until the queries of a DataLoader settle: there are no scheduled
+ * loads and no query is loading or refreshing. Use it instead of sleeping
+ * for the debounce and latency times.
+ *
+ * ```javascript
+ * const dataLoader = ReactTestUtils.renderIntoDocument(<UsersLoader />);
+ * return waitForLoaders(dataLoader).then(() => {
+ *   expect(dataLoader.refs.component.props.users).to.have.length(3);
+ * });
+ * ```
+ *
+ * @param  {DataLoader} dataLoader The DataLoader instance
+ * @param  {object}     options    The `timeout` in milliseconds (defaults to
+ *                                 2000)
+ * @return {Promise}               Resolves when the queries settle
+ */
+export function waitForLoaders(dataLoader, { timeout = 2000 } = {}) {
+  const isSettled = () => _.every(dataLoader._queries, ({ name, load }) => {
+    const meta = dataLoader._data[name + '_meta'];
+    return !load.pending() && !meta.loading && !meta.isRefreshing;
+  });
+  return waitUntil(isSettled, 'The DataLoader queries did not settle', timeout);
+}
@@ -1,11 +1,12 @@
 // Returns a function, that, as long as it continues to be invoked, will not
 // be triggered. The function will be called after it stops being called for
 // N milliseconds. If `immediate` is passed, trigger the function on the
-// leading edge, instead of the trailing.
+// leading edge, instead of the trailing. A pending call can be dropped with
+// the `cancel` method of the returned function, and checked with `pending`.
 // @source http://davidwalsh.name/javascript-debounce-function
 export function debounce(func, wait, immediate) {
   var timeout;
-  return function () {
+  var debounced = function () {
     var context = this, args = arguments;
     var later = function () {
       timeout = null;
@@ -16,4 +17,17 @@ export function debounce(func, wait, immediate) {
     timeout = setTimeout(later, wait);
     if (callNow) func.apply(context, args);
   };
+  debounced.cancel = function () {
+    clearTimeout(timeout);
+    timeout = null;
+  };
+  debounced.pending = function () {
+    return !!timeout;
+  };
+  return debounced;
+}
+
+// Tells whether the browser is offline. Returns false when it is unknown.
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
 }